@@ -1,10 +1,11 @@
 // Dependencies
-import EasingFuncs from './easing.js';
+import { getEasingFunc } from './easing.js';
 import { splitValueUnit, calculateUnitValue, roundValue, safeParseJSON } from './utils.js';
+import { parseColor, mixColors, formatColor } from './color.js';
+import { getEmptyShadow, parseShadow, mixShadows, formatShadow } from './shadow.js';
 
 
 // Animation default values
-// TO-DO: skew, box-shadow, text-shadow, color, bgColor/bgGradient?
 const ANIMATION_DEFAULTS = {
     move: {
         x: {
@@ -36,6 +37,18 @@ const ANIMATION_DEFAULTS = {
         easing: false,
         responsive: null
     },
+    skew: {
+        x: {
+            start: { value: 0 },
+            end: { value: 0 }
+        },
+        y: {
+            start: { value: 0 },
+            end: { value: 0 }
+        },
+        easing: false,
+        responsive: null
+    },
     scale: {
         start: { value: 100 },
         end: { value: 100 },
@@ -69,7 +82,245 @@ const ANIMATION_DEFAULTS = {
         start: { value: 0 },
         end: { value: 0 },	
         responsive: null
+    },
+    // Color defaults are resolved from the element's computed style (see `COLOR_PROPERTIES`)
+    color: {
+        easing: false,
+        responsive: null
+    },
+    background: {
+        easing: false,
+        responsive: null
+    },
+    borderColor: {
+        easing: false,
+        responsive: null
+    },
+    shadow: {
+        start: getEmptyShadow(),
+        end: getEmptyShadow(),
+        easing: false,
+        responsive: null
+    },
+    textShadow: {
+        start: getEmptyShadow(),
+        end: getEmptyShadow(),
+        easing: false,
+        responsive: null
+    },
+    vars: {
+        easing: false,
+        responsive: null
+    }
+}
+
+
+// Color animation types and the corresponding CSS properties
+const COLOR_PROPERTIES = {
+    color: 'color',
+    background: 'backgroundColor',
+    borderColor: 'borderColor'
+};
+
+
+// Value parsers for animation types that do not use plain numeric values
+const VALUE_PARSERS = {
+    color: parseColor,
+    background: parseColor,
+    borderColor: parseColor,
+    shadow: parseShadow,
+    textShadow: value => parseShadow(value, true)
+};
+
+
+/**
+ * Converts an animation type into its data attribute name (e.g. `borderColor` to `data-animation-border-color`).
+ *
+ * @param {string} type - The animation type.
+ * 
+ * @returns {string} - The data attribute name.
+ */
+function getAttributeName(type) {
+    return `data-animation-${type.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+}
+
+
+/**
+ * Retrieves all supported animation types.
+ *
+ * @returns {string[]} - The animation types (e.g. `['move', 'rotate', ...]`).
+ */
+export function getAnimationTypes() {
+    return Object.keys(ANIMATION_DEFAULTS);
+}
+
+
+/**
+ * Retrieves the names of all supported animation data attributes.
+ *
+ * @returns {string[]} - The data attribute names (e.g. `['data-animation-move', ...]`).
+ */
+export function getAnimationAttributes() {
+    return Object.keys(ANIMATION_DEFAULTS).map(getAttributeName);
+}
+
+
+/**
+ * Describes the supported keys and values of an animation type, e.g. to validate animation configs.
+ *
+ * @param {string} type - The animation type.
+ * 
+ * @returns {Object|null} - The schema as `{ attribute, hasValue, axes, parseValue }`, or `null` for unknown types.
+ *                          `vars` has neither a value nor axes, but custom properties.
+ */
+export function getAnimationSchema(type) {
+    const defaults = ANIMATION_DEFAULTS[type];
+    if (!defaults) return null;
+
+    return {
+        attribute: getAttributeName(type),
+        hasValue: type !== 'vars' && (!!defaults.start || !!COLOR_PROPERTIES[type]),
+        axes: ['x', 'y', 'z'].filter(axis => defaults[axis]),
+        parseValue: VALUE_PARSERS[type] || splitValueUnit
+    };
+}
+
+
+/**
+ * Reads the (unprocessed) animation configs of an element from its data attributes.
+ *
+ * @param {HTMLElement} el - The animated element.
+ * 
+ * @returns {Object} - The parsed attribute values by animation type (e.g. `{ fade: { start: 0 } }`).
+ */
+export function getAnimationConfig(el) {
+    const config = {};
+
+    for (const type of Object.keys(ANIMATION_DEFAULTS)) {
+        const attrName = getAttributeName(type);
+        const data = el.getAttribute(attrName);
+
+        if (data) config[type] = safeParseJSON(data.replace(/'/g, '"'), attrName);
     }
+
+    return config;
+}
+
+
+/**
+ * Retrieves the default values of an animation type for a specific element.
+ *
+ * Color animations default to the element's computed color, so that e.g. only an `end` color can be specified.
+ *
+ * @param {string} type - The animation type.
+ * @param {HTMLElement} el - The animated element.
+ * 
+ * @returns {Object} - The default values of the animation type.
+ */
+function getAnimationDefaults(type, el) {
+    if (!COLOR_PROPERTIES[type]) return ANIMATION_DEFAULTS[type];
+
+    const computedColor = parseColor(window.getComputedStyle(el)[COLOR_PROPERTIES[type]]) || parseColor('transparent');
+
+    return {
+        ...ANIMATION_DEFAULTS[type],
+        start: computedColor,
+        end: computedColor
+    };
+}
+
+
+/**
+ * Converts all keys of an object to lowercase.
+ *
+ * @param {Object} obj - The object to normalize.
+ * 
+ * @returns {Object} - A shallow copy of the object with lowercase keys.
+ */
+function normalizeKeys(obj) {
+    return Object.keys(obj).reduce((acc, key) => {
+        acc[key.toLowerCase()] = obj[key];
+        return acc;
+    }, {});
+}
+
+
+/**
+ * Converts a keyframe key (e.g. `"40%"`, `"from"` or `"to"`) into an offset between 0 and 1.
+ *
+ * @param {string} key - The keyframe key.
+ * 
+ * @returns {number|null} - The keyframe offset or `null` if the key is invalid.
+ */
+function parseKeyframeOffset(key) {
+    if (key === 'from') return 0;
+    if (key === 'to') return 1;
+
+    const offset = parseFloat(key);
+    return isNaN(offset) ? null : Math.max(0, Math.min(1, offset / 100));
+}
+
+
+/**
+ * Extracts and structures multi-step keyframes for animation properties.
+ *
+ * Each keyframe contains either a single value (e.g. `{"50%": 80}` or `{"50%": {"value": 80}}`) 
+ * or axis-based values (e.g. `{"50%": {"y": "-80px"}}`). An optional `easing` applies to the segment 
+ * that starts at the keyframe. Axes without a value in a keyframe are interpolated between their neighbours.
+ *
+ * @param {Object} keyframesObj - The keyframes object (e.g. `{"0%": {...}, "40%": {...}, "100%": {...}}`).
+ * @param {Object} defaultObj - The object containing default values, used to determine the supported axes.
+ * @param {Function} [parseValue=splitValueUnit] - Parses a single keyframe value.
+ * 
+ * @returns {Object} - A structured object with sorted keyframes, either top-level (`keyframes`) or per axis.
+ */
+function extractKeyframesData(keyframesObj, defaultObj, parseValue = splitValueUnit) {
+    const tracks = {};
+    const axes = ['x', 'y', 'z'];
+
+    const addKeyframe = (track, offset, value, easing) => {
+        const valueData = parseValue(value);
+        if (!valueData) return;
+
+        if (!tracks[track]) tracks[track] = [];
+        tracks[track].push({ offset, value: valueData, easing });
+    };
+
+    for (const key of Object.keys(keyframesObj || {})) {
+        const offset = parseKeyframeOffset(key.trim().toLowerCase());
+        const keyframe = keyframesObj[key];
+
+        if (offset === null) continue;
+
+        // Single value keyframe (e.g. `{"50%": 80}`)
+        if (typeof keyframe !== 'object' || keyframe === null) {
+            if (defaultObj.start) addKeyframe('value', offset, keyframe);
+            continue;
+        }
+
+        const normalizedKeyframe = normalizeKeys(keyframe);
+        const easing = normalizedKeyframe.easing || undefined;
+
+        if (defaultObj.start && 'value' in normalizedKeyframe) {
+            addKeyframe('value', offset, normalizedKeyframe.value, easing);
+        }
+
+        for (const axis of axes) {
+            if (defaultObj[axis] && axis in normalizedKeyframe) {
+                addKeyframe(axis, offset, normalizedKeyframe[axis], easing);
+            }
+        }
+    }
+
+    const newObj = {};
+
+    for (const track of Object.keys(tracks)) {
+        const keyframes = tracks[track].sort((a, b) => a.offset - b.offset);
+
+        if (track === 'value') newObj.keyframes = keyframes;
+        else newObj[track] = { keyframes };
+    }
+    return newObj;
 }
 
 
@@ -81,22 +332,25 @@ const ANIMATION_DEFAULTS = {
  *
  * @param {Object} obj - The object containing animation data.
  * @param {Object} defaultObj - The object containing default values for fallback.
+ * @param {Function} [parseValue=splitValueUnit] - Parses a single start or end value (e.g. `parseColor` for colors).
  * 
  * @returns {Object} - A structured object with extracted start and end values.
  */
-function extractStartEndData(obj, defaultObj) {
+function extractStartEndData(obj, defaultObj, parseValue = splitValueUnit) {
     
     // Normalize object keys: Convert all keys to lowercase
-    const normalizedObj = Object.keys(obj).reduce((acc, key) => {
-        acc[key.toLowerCase()] = obj[key];
-        return acc;
-    }, {});
+    const normalizedObj = normalizeKeys(obj);
+
+    // Process multi-step keyframes and return immediately
+    if ('keyframes' in normalizedObj) {
+        return extractKeyframesData(normalizedObj.keyframes, defaultObj, parseValue);
+    }
 
     // Process top-level 'start' or 'end' properties and return immediately
     if ('start' in normalizedObj || 'end' in normalizedObj) {
         return {
-            start: 'start' in normalizedObj ? splitValueUnit(normalizedObj.start) : defaultObj.start,
-            end: 'end' in normalizedObj ? splitValueUnit(normalizedObj.end) : defaultObj.end
+            start: ('start' in normalizedObj && parseValue(normalizedObj.start)) || defaultObj.start,
+            end: ('end' in normalizedObj && parseValue(normalizedObj.end)) || defaultObj.end
         };
     }
 
@@ -107,13 +361,11 @@ function extractStartEndData(obj, defaultObj) {
     for (const axis of axes) {
         if (defaultObj[axis] && (normalizedObj[`start${axis}`] || normalizedObj[`end${axis}`])) {
             newObj[axis] = {
-                start: normalizedObj[`start${axis}`]
-                    ? splitValueUnit(normalizedObj[`start${axis}`]) 
-                    : defaultObj[axis].start,
+                start: (normalizedObj[`start${axis}`] && parseValue(normalizedObj[`start${axis}`]))
+                    || defaultObj[axis].start,
 
-                end: normalizedObj[`end${axis}`]
-                    ? splitValueUnit(normalizedObj[`end${axis}`]) 
-                    : defaultObj[axis].end
+                end: (normalizedObj[`end${axis}`] && parseValue(normalizedObj[`end${axis}`]))
+                    || defaultObj[axis].end
             };
         }
     }
@@ -122,38 +374,113 @@ function extractStartEndData(obj, defaultObj) {
 
 
 /**
- * Extracts animation data attributes from an element and returns a structured animation configuration.
+ * Extracts and structures CSS custom property animations.
+ *
+ * Each custom property (e.g. `--tilt`) is defined by either
+ * - an array of values (`["0deg", "12deg"]`), which are distributed evenly across the timeline range, or
+ * - an object with `start` / `end` or `keyframes` and an optional `easing`.
+ *
+ * @param {Object} obj - The object containing the custom property animations.
+ * 
+ * @returns {Object} - A structured object with the extracted `vars` and their units.
+ */
+function extractVarsData(obj) {
+    const vars = {};
+    const defaultObj = { start: { value: 0 }, end: { value: 0 } };
+
+    for (const name of Object.keys(obj)) {
+        // Custom property names are case-sensitive and must not be normalized
+        if (!name.startsWith('--')) continue;
+
+        const value = obj[name];
+        let varData;
+
+        if (Array.isArray(value)) {
+            const values = value.map(item => splitValueUnit(item)).filter(Boolean);
+            if (!values.length) continue;
+
+            varData = values.length > 2
+                ? { keyframes: values.map((item, i) => ({ offset: i / (values.length - 1), value: item })) }
+                : { start: values[0], end: values[values.length - 1] };
+
+        } else if (value && typeof value === 'object') {
+            varData = {
+                ...extractStartEndData(value, defaultObj),
+                easing: value.easing || undefined
+            };
+
+        } else continue;
+
+        // Determine the unit of the custom property from its first value with a unit
+        const valueList = varData.keyframes ? varData.keyframes.map(keyframe => keyframe.value) : [varData.start, varData.end];
+        varData.unit = valueList.find(item => item?.unit)?.unit || '';
+
+        vars[name] = varData;
+    }
+
+    return { vars };
+}
+
+
+/**
+ * Extracts animation data from an element and returns a structured animation configuration.
+ *
+ * - Reads the `data-animation-*` JSON attributes of the element.
+ * - Animation types defined in the (optional) JavaScript config take precedence over the attributes.
+ *   A falsy value (e.g. `fade: null`) disables the corresponding attribute.
+ * - An `input` of `'velocity'` drives the animation by the scroll speed (up to `maxVelocity`) instead of the progress.
  *
  * @param {HTMLElement} el - The element from which animation data attributes are extracted.
+ * @param {Object} [config={}] - An optional JavaScript animation config (e.g. `{ move: {...}, fade: {...} }`).
+ * 
+ * Invalid configs are skipped silently, since they are reported by the validation (see `getElementIssues()`).
  * 
  * @returns {Array<Object>} - An array of animation objects, each containing a specific animation type and its properties.
  */
-export function getAnimationData(el) {
+export function getAnimationData(el, config = {}) {
     const animations = [];
     const animationTypes = Object.keys(ANIMATION_DEFAULTS);
 
     for (const type of animationTypes) {
-        const attrName = `data-animation-${type}`;
-        const data = el.getAttribute(attrName);
-        
-        if (data) {
-            const parsedData = safeParseJSON(data.replace(/'/g, '"'), attrName);
-            const responsiveData = parsedData.responsive || {};
-
-            // Extract responsive animation settings
-            const responsiveConfig = Object.keys(responsiveData).reduce((acc, breakpoint) => {
-                acc[breakpoint] = extractStartEndData(responsiveData[breakpoint], ANIMATION_DEFAULTS[type]);
-                return acc;
-            }, {});
-
-            animations.push({
-                [type]: {
-                    ...extractStartEndData(parsedData, ANIMATION_DEFAULTS[type]),
-                    responsive: Object.keys(responsiveData).length ? responsiveConfig : undefined,
-                    easing: parsedData.easing || undefined
-                }
-            });
+        let parsedData;
+
+        if (type in config) {
+            if (!config[type]) continue;
+            parsedData = config[type];
+
+        } else {
+            const attrName = getAttributeName(type);
+            const data = el.getAttribute(attrName);
+
+            if (!data) continue;
+            parsedData = safeParseJSON(data.replace(/'/g, '"'), attrName, () => null);
         }
+
+        if (!parsedData || typeof parsedData !== 'object') continue;
+
+        const responsiveData = parsedData.responsive || {};
+        const defaultData = getAnimationDefaults(type, el);
+        const parseValue = VALUE_PARSERS[type] || splitValueUnit;
+
+        const extractData = (type === 'vars')
+            ? extractVarsData
+            : (data) => extractStartEndData(data, defaultData, parseValue);
+
+        // Extract responsive animation settings
+        const responsiveConfig = Object.keys(responsiveData).reduce((acc, breakpoint) => {
+            acc[breakpoint] = extractData(responsiveData[breakpoint]);
+            return acc;
+        }, {});
+
+        animations.push({
+            [type]: {
+                ...extractData(parsedData),
+                responsive: Object.keys(responsiveData).length ? responsiveConfig : undefined,
+                easing: parsedData.easing || undefined,
+                input: parsedData.input === 'velocity' ? 'velocity' : undefined,
+                maxVelocity: parseFloat(parsedData.maxVelocity) > 0 ? parseFloat(parsedData.maxVelocity) : undefined
+            }
+        });
     }
 
     return animations;
@@ -165,12 +492,12 @@ export function getAnimationData(el) {
  *
  * - If an easing function is provided, it applies the easing to the progress.
  * - Ensures progress is clamped between `0` and `1` to prevent unexpected results.
- * - Uses `EasingFuncs` to retrieve the easing function safely.
+ * - Uses `getEasingFunc()` to retrieve the easing function safely.
  *
  * @param {number} start - The starting value of the animation.
  * @param {number} end - The ending value of the animation.
  * @param {number} [progress=0] - The current progress (between 0 and 1).
- * @param {string|false} [easing=false] - The easing function name (case-insensitive) or `false` for linear animation.
+ * @param {string|Function|false} [easing=false] - The easing name (case-insensitive), CSS easing string, function or `false` for linear animation.
  * 
  * @returns {number} - The calculated interpolated value.
  */
@@ -180,14 +507,80 @@ function getAnimationProgress(start, end, progress = 0, easing = false ) {
     progress = Math.max(0, Math.min(1, progress));
 
     // Apply easing if provided and valid
-    if (easing && EasingFuncs[easing.toLowerCase()]) {
-        progress = EasingFuncs[easing.toLowerCase()](progress);
-    }
+    const easingFunc = easing ? getEasingFunc(easing) : null;
+    if (easingFunc) progress = easingFunc(progress);
 
     return start + (end - start) * progress;
 }
 
 
+/**
+ * Determines the currently active segment of an animation property.
+ *
+ * - For start/end data, the segment equals the whole animation.
+ * - For keyframes, it picks the two surrounding keyframes and maps the progress onto their segment.
+ *
+ * @param {Object} data - The property data, containing either `start` / `end` or `keyframes`.
+ * @param {number} progress - The current animation progress (0 to 1).
+ * 
+ * @returns {Object} - An object containing the segment's `start` and `end` values, its `progress` and its `easing`.
+ */
+function getSegment(data, progress) {
+    const keyframes = data.keyframes;
+
+    if (!keyframes) return { start: data.start, end: data.end, progress };
+    if (keyframes.length === 1) return { start: keyframes[0].value, end: keyframes[0].value, progress };
+
+    let i = 0;
+    while (i < keyframes.length - 2 && progress > keyframes[i + 1].offset) i++;
+
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    const segmentSize = to.offset - from.offset;
+
+    return {
+        start: from.value,
+        end: to.value,
+        progress: segmentSize ? (progress - from.offset) / segmentSize : (progress < to.offset ? 0 : 1),
+        easing: from.easing
+    };
+}
+
+
+/**
+ * Interpolates an animation property based on its start/end values or keyframes.
+ *
+ * @param {Object} data - The property data, containing either `start` / `end` or `keyframes`.
+ * @param {number} progress - The current animation progress (0 to 1).
+ * @param {string|false} [easing=false] - The easing of the animation, used unless the keyframe defines its own.
+ * @param {Function} [getValue] - Converts a value object (`{ value, unit }`) into a number.
+ * 
+ * @returns {number} - The calculated interpolated value.
+ */
+function interpolate(data, progress, easing = false, getValue = (valueData) => valueData.value) {
+    const segment = getSegment(data, progress);
+
+    return getAnimationProgress(
+        getValue(segment.start),
+        getValue(segment.end),
+        segment.progress,
+        segment.easing || easing
+    );
+}
+
+
+/**
+ * Checks whether animation data contains values to animate (start and end values or keyframes).
+ *
+ * @param {Object} animationData - The animation configuration.
+ * 
+ * @returns {boolean} - `true` if the animation data contains animatable values.
+ */
+export function hasAnimationValues(animationData) {
+    return !!((animationData.start && animationData.end) || animationData.keyframes?.length);
+}
+
+
 /**
  * Calculates the transform `translate` values for an element.
  *
@@ -207,12 +600,9 @@ export function move(animationData, progress, rangeSizes, elSizes, winSizes) {
     const calculateMovement = (axis) => {
         if (!animationData[axis]) return 0;
 
-        const { start, end } = animationData[axis];
-
-        const startValue = calculateUnitValue(start.unit, start.value, winSizes, rangeSizes[axis], elSizes[axis]);
-        const endValue = calculateUnitValue(end.unit, end.value, winSizes, rangeSizes[axis], elSizes[axis]);
-
-        return getAnimationProgress(startValue, endValue, progress, animationData.easing);
+        return interpolate(animationData[axis], progress, animationData.easing, ({ unit, value }) => 
+            calculateUnitValue(unit, value, winSizes, rangeSizes[axis], elSizes[axis])
+        );
     };
 
     const valueX = roundValue(calculateMovement('x'));
@@ -237,17 +627,12 @@ export function rotate(animationData, progress) {
     const calculateRotation = (axis) => {
         if (!animationData[axis]) return null;
         
-        return getAnimationProgress(
-            animationData[axis].start.value,
-            animationData[axis].end.value,
-            progress,
-            animationData.easing
-        );
+        return interpolate(animationData[axis], progress, animationData.easing);
     };
 
-    // Prioritize 'start' and 'end' values, if defined
-    if (animationData.start && animationData.end) {
-        const value = getAnimationProgress(animationData.start.value, animationData.end.value, progress, animationData.easing);
+    // Prioritize 'start' and 'end' values (or top-level keyframes), if defined
+    if (hasAnimationValues(animationData)) {
+        const value = interpolate(animationData, progress, animationData.easing);
         return `rotate(${roundValue(value)}deg)`;
     }
 
@@ -260,6 +645,31 @@ export function rotate(animationData, progress) {
 }
 
 
+/**
+ * Calculates the CSS skew transform values for an element.
+ *
+ * - Supports independent skewing on the X and Y axes.
+ * - Uses `getAnimationProgress()` to interpolate skew angles based on scroll progress.
+ * 
+ * @param {Object} animationData - The skew animation configuration.
+ * @param {number} progress - The current animation progress (0 to 1).
+ * 
+ * @returns {string} - The computed `transform` CSS property with skewing.
+ */
+export function skew(animationData, progress) {
+    const skews = [];
+
+    for (const axis of ['x', 'y']) {
+        if (!animationData[axis]) continue;
+
+        const value = interpolate(animationData[axis], progress, animationData.easing);
+        skews.push(`skew${axis.toUpperCase()}(${roundValue(value)}deg)`);
+    }
+
+    return skews.join(' ');
+}
+
+
 /**
  * Calculates the CSS scale transform values for an element.
  *
@@ -272,20 +682,17 @@ export function rotate(animationData, progress) {
  * @returns {string} - The computed `transform` CSS property with scaling.
  */
 export function scale(animationData, progress) {
+    const getScaleValue = (valueData) => valueData.value/100;
+
     const calculateScale = (axis) => {
         if (!animationData[axis]) return null;
         
-        return getAnimationProgress(
-            animationData[axis].start.value/100,
-            animationData[axis].end.value/100,
-            progress,
-            animationData.easing
-        );
+        return interpolate(animationData[axis], progress, animationData.easing, getScaleValue);
     };
 
-    // Prioritize 'start' and 'end' values, if defined
-    if (animationData.start && animationData.end) {
-        const value = getAnimationProgress(animationData.start.value/100, animationData.end.value/100, progress, animationData.easing);
+    // Prioritize 'start' and 'end' values (or top-level keyframes), if defined
+    if (hasAnimationValues(animationData)) {
+        const value = interpolate(animationData, progress, animationData.easing, getScaleValue);
         return `scale(${ roundValue(value, 2) })`;
     }
 
@@ -308,7 +715,7 @@ export function scale(animationData, progress) {
  * @returns {string} - The computed `opacity` CSS property.
  */
 export function fade(animationData, progress) {
-    const value = getAnimationProgress(animationData.start.value, animationData.end.value, progress, animationData.easing);
+    const value = interpolate(animationData, progress, animationData.easing);
     return roundValue(value / 100, 2);
 }
 
@@ -324,7 +731,7 @@ export function fade(animationData, progress) {
  * @returns {string} - The computed `filter: saturate(%)` CSS property.
  */
 export function saturate(animationData, progress) {
-    const value = getAnimationProgress(animationData.start.value, animationData.end.value, progress);
+    const value = interpolate(animationData, progress, animationData.easing);
     return `saturate(${roundValue(value, 0)}%)`;
 }
 
@@ -340,6 +747,71 @@ export function saturate(animationData, progress) {
  * @returns {string} - The computed `filter: blur(px)` CSS property.
  */
 export function blur(animationData, progress) {
-    const value = getAnimationProgress(animationData.start.value, animationData.end.value, progress);
+    const value = interpolate(animationData, progress, animationData.easing);
     return `blur(${roundValue(value, 0)}px)`;
 }
+
+
+/**
+ * Calculates the interpolated CSS color value for a color animation (`color`, `background` or `borderColor`).
+ *
+ * - Interpolates the colors in the perceptual OKLCH color space.
+ * - Uses `getAnimationProgress()` to apply the easing to the scroll progress.
+ *
+ * @param {Object} animationData - The color animation configuration.
+ * @param {number} progress - The current animation progress (0 to 1).
+ * 
+ * @returns {string} - The computed CSS color as `rgba()` string.
+ */
+export function color(animationData, progress) {
+    const segment = getSegment(animationData, progress);
+    const colorProgress = getAnimationProgress(0, 1, segment.progress, segment.easing || animationData.easing);
+
+    return formatColor( mixColors(segment.start, segment.end, colorProgress) );
+}
+
+
+/**
+ * Calculates the interpolated CSS shadow value for a `shadow` or `textShadow` animation.
+ *
+ * - Interpolates offset, blur, spread and color (in OKLCH) between the start and end shadows.
+ * - Uses `getAnimationProgress()` to apply the easing to the scroll progress.
+ *
+ * @param {Object} animationData - The shadow animation configuration.
+ * @param {number} progress - The current animation progress (0 to 1).
+ * @param {boolean} [isTextShadow=false] - Whether to compute a `text-shadow` instead of a `box-shadow`.
+ * 
+ * @returns {string} - The computed `box-shadow` or `text-shadow` CSS property.
+ */
+export function shadow(animationData, progress, isTextShadow = false) {
+    const segment = getSegment(animationData, progress);
+    const shadowProgress = getAnimationProgress(0, 1, segment.progress, segment.easing || animationData.easing);
+
+    return formatShadow( mixShadows(segment.start, segment.end, shadowProgress), isTextShadow );
+}
+
+
+/**
+ * Calculates the interpolated values of CSS custom properties for a `vars` animation.
+ *
+ * - Uses `getAnimationProgress()` to interpolate each custom property based on scroll progress.
+ * - The easing of a custom property takes precedence over the easing of the animation.
+ *
+ * @param {Object} animationData - The custom property animation configuration.
+ * @param {number} progress - The current animation progress (0 to 1).
+ * 
+ * @returns {Object} - An object mapping each custom property name to its computed CSS value.
+ */
+export function vars(animationData, progress) {
+    const values = {};
+
+    for (const name of Object.keys(animationData.vars || {})) {
+        const varData = animationData.vars[name];
+        if (!hasAnimationValues(varData)) continue;
+
+        const value = interpolate(varData, progress, varData.easing || animationData.easing);
+        values[name] = `${roundValue(value, 3)}${varData.unit}`;
+    }
+
+    return values;
+}
@@ -1,20 +1,102 @@
-
 //export const DEFAULT_BREAKPOINTS = [781, 1024, 1366];
 
+// Breakpoint names of the legacy array notation (e.g. `[781, 1024, 1366]`)
+const LEGACY_BREAKPOINT_NAMES = ['phone', 'tablet', 'laptop', 'desktop'];
+
+
+/**
+ * Normalizes the user defined breakpoints into a list of breakpoint entries.
+ *
+ * - An array of three ascending numbers (legacy notation) results in the exclusive ranges
+ *   `phone` (≤ 1st), `tablet` (≤ 2nd), `laptop` (≤ 3rd) and `desktop` (> 3rd).
+ * - An object maps breakpoint names to either a minimum width in pixels (e.g. `{ md: 768 }`)
+ *   or a media query string (e.g. `{ landscape: '(orientation: landscape)' }`).
+ *
+ * Minimum width entries are ordered by their width, regardless of their order of definition, so that larger
+ * widths always take precedence. Media query entries follow in order of definition.
+ *
+ * @param {number[]|Object} breakpoints - The validated breakpoints.
+ *
+ * @returns {Array<Object>} - The breakpoint entries as `{ name, minWidth, maxWidth, query }`, in order of precedence (lowest first).
+ */
+export function normalizeBreakpoints(breakpoints) {
+    if (Array.isArray(breakpoints)) {
+        return LEGACY_BREAKPOINT_NAMES.map((name, i) => ({
+            name,
+            minWidth: i > 0 ? breakpoints[i - 1] + 1 : 0,
+            maxWidth: i < breakpoints.length ? breakpoints[i] : Infinity
+        }));
+    }
+
+    const entries = Object.keys(breakpoints).map(name => (
+        typeof breakpoints[name] === 'number'
+            ? { name, minWidth: breakpoints[name], maxWidth: Infinity }
+            : { name, query: breakpoints[name] }
+    ));
+
+    return [
+        ...entries.filter(entry => !entry.query).sort((a, b) => a.minWidth - b.minWidth),
+        ...entries.filter(entry => entry.query)
+    ];
+}
+
+
+/**
+ * Determines all active breakpoints based on the window width and media queries.
+ *
+ * The result is ordered by precedence: Later entries take precedence over earlier ones (see `normalizeBreakpoints()`),
+ * so that e.g. with `{ sm: 0, md: 768, lg: 1024 }` (in any order) a width of `1100` results in `['lg', 'md', 'sm']`.
+ *
+ * @param {number} width - The current window width.
+ * @param {Array<Object>} breakpoints - The normalized breakpoint entries.
+ *
+ * @returns {string[]} - The names of all active breakpoints, ordered from highest to lowest precedence.
+ */
+export function getActiveBreakpoints(width, breakpoints) {
+    const activeBreakpoints = [];
+
+    for (const breakpoint of breakpoints) {
+        const isActive = breakpoint.query
+            ? window.matchMedia(breakpoint.query).matches
+            : width >= breakpoint.minWidth && width <= breakpoint.maxWidth;
+
+        if (isActive) activeBreakpoints.unshift(breakpoint.name);
+    }
+
+    return activeBreakpoints;
+}
+
 
 /**
  * Determines the current breakpoint based on the window width and the defined breakpoints.
- * 
- * @param {number[]} breakpoints - An array of breakpoints (e.g., `[600, 1024, 1366]`).
+ *
  * @param {number} width - The current window width.
- * 
- * @returns {string} - The current breakpoint as a string: 'phone', 'tablet', 'laptop', or 'desktop'.
+ * @param {number[]|Object} breakpoints - An array of breakpoints (e.g., `[600, 1024, 1366]`) or named breakpoints.
+ *
+ * @returns {string|null} - The current breakpoint with the highest precedence, e.g. 'phone', 'tablet', 'laptop', or 'desktop'.
  */
 export function getCurrentBreakpoint(width, breakpoints) {
-    if (width <= breakpoints[0]) return 'phone';
-    if (width <= breakpoints[1]) return 'tablet';
-    if (width <= breakpoints[2]) return 'laptop';
-    return 'desktop';
+    return getActiveBreakpoints(width, normalizeBreakpoints(breakpoints))[0] || null;
+}
+
+
+/**
+ * Resolves the responsive animation data for the active breakpoints.
+ *
+ * Falls back along the active breakpoints (by precedence) and finally to the base animation data.
+ *
+ * @param {Object} animationData - The animation data including optional `responsive` overrides.
+ * @param {string[]} activeBreakpoints - The names of all active breakpoints, ordered by precedence.
+ *
+ * @returns {Object} - The animation data of the first active breakpoint with an override, or the base data.
+ */
+export function getResponsiveData(animationData, activeBreakpoints) {
+    if (animationData.responsive) {
+        for (const breakpoint of activeBreakpoints) {
+            if (animationData.responsive[breakpoint]) return animationData.responsive[breakpoint];
+        }
+    }
+    return animationData;
 }
 
 
@@ -34,8 +116,17 @@ export function isValidBreakpoints(breakpoints = []) {
         });
         if (isAscending && isNumerical) return true;
     }
+
+    // Named breakpoints with minimum widths or media queries
+    if (breakpoints && typeof breakpoints === 'object' && !Array.isArray(breakpoints)) {
+        const values = Object.values(breakpoints);
+        const isValid = values.length && values.every(value =>
+            (typeof value === 'number' && value >= 0) || (typeof value === 'string' && value.trim())
+        );
+        if (isValid) return true;
+    }
+
     // Revert to default if set incorrectly
-    console.warn("ScrollageJS: Breakpoints need to be an array of 3 values in ascending order.");
+    console.warn("ScrollageJS: Breakpoints need to be an array of 3 values in ascending order, or an object of named widths or media queries.");
     return false;
 }
-
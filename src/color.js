@@ -0,0 +1,215 @@
+/**
+ * Color parsing and interpolation in the perceptual OKLCH color space.
+ * Based on the OKLab color space by Björn Ottosson: https://bottosson.github.io/posts/oklab/
+ */
+
+
+/**
+ * Parses a single numeric color channel (e.g. `'128'`, `'50%'` or `'0.5'`).
+ *
+ * @param {string} str - The channel string.
+ * @param {number} [percentScale=1] - The value that `100%` refers to.
+ *
+ * @returns {number} - The numeric channel value (`NaN` if invalid).
+ */
+function parseChannel(str, percentScale = 1) {
+    if (str === undefined) return NaN;
+    str = str.trim();
+
+    return str.endsWith('%')
+        ? parseFloat(str) / 100 * percentScale
+        : parseFloat(str);
+}
+
+
+/**
+ * Splits the arguments of a color function (supports comma and space separated syntax, with optional `/ alpha`).
+ *
+ * @param {string} args - The color function arguments (e.g. `'255, 0, 0, 0.5'` or `'255 0 0 / 50%'`).
+ *
+ * @returns {Array<string>} - The individual arguments.
+ */
+function splitColorArgs(args) {
+    return args.replace(/\//g, ' ').split(/[\s,]+/).filter(Boolean);
+}
+
+
+/**
+ * Converts a HSL color into sRGB.
+ *
+ * @param {number} h - The hue in degrees.
+ * @param {number} s - The saturation (0 to 1).
+ * @param {number} l - The lightness (0 to 1).
+ *
+ * @returns {Array<number>} - The red, green and blue channels (0 to 1).
+ */
+function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360;
+
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+    return [f(0), f(8), f(4)];
+}
+
+
+/**
+ * Converts a sRGB color (0 to 1 per channel) into OKLCH.
+ *
+ * @param {Array<number>} rgb - The red, green and blue channels.
+ *
+ * @returns {Object} - The color as `{ l, c, h }`.
+ */
+function rgbToOklch([r, g, b]) {
+    const toLinear = (c) => c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+
+    r = toLinear(r);
+    g = toLinear(g);
+    b = toLinear(b);
+
+    const l_ = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m_ = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s_ = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    const L = 0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_;
+    const A = 1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_;
+    const B = 0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_;
+
+    const c = Math.sqrt(A * A + B * B);
+    const h = (Math.atan2(B, A) * 180 / Math.PI + 360) % 360;
+
+    return { l: L, c, h };
+}
+
+
+/**
+ * Converts an OKLCH color into sRGB (0 to 1 per channel, clipped to the sRGB gamut).
+ *
+ * @param {Object} color - The color as `{ l, c, h }`.
+ *
+ * @returns {Array<number>} - The red, green and blue channels.
+ */
+function oklchToRgb({ l, c, h }) {
+    const hRad = h * Math.PI / 180;
+    const A = c * Math.cos(hRad);
+    const B = c * Math.sin(hRad);
+
+    const l_ = l + 0.3963377774 * A + 0.2158037573 * B;
+    const m_ = l - 0.1055613458 * A - 0.0638541728 * B;
+    const s_ = l - 0.0894841775 * A - 1.2914855480 * B;
+
+    const L = l_ * l_ * l_;
+    const M = m_ * m_ * m_;
+    const S = s_ * s_ * s_;
+
+    const toGamma = (c) => {
+        c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return Math.max(0, Math.min(1, c));
+    };
+
+    return [
+        toGamma( 4.0767416621 * L - 3.3077115913 * M + 0.2309699292 * S),
+        toGamma(-1.2684380046 * L + 2.6097574011 * M - 0.3413193965 * S),
+        toGamma(-0.0041960863 * L - 0.7034186147 * M + 1.7076147010 * S)
+    ];
+}
+
+
+/**
+ * Parses a hex, rgb(a) or hsl(a) color string into an OKLCH color.
+ *
+ * @param {string} str - The color string (e.g. `'#f00'`, `'rgb(255 0 0 / 50%)'` or `'hsl(200, 50%, 50%)'`).
+ *
+ * @returns {Object|undefined} - The color as `{ l, c, h, alpha }` or `undefined` if the color is invalid.
+ */
+export function parseColor(str) {
+    if (!str || typeof str !== 'string') return;
+    str = str.trim().toLowerCase();
+
+    let rgb;
+    let alpha = 1;
+
+    if (str === 'transparent') {
+        rgb = [0, 0, 0];
+        alpha = 0;
+
+    // Hex colors (#rgb, #rgba, #rrggbb, #rrggbbaa)
+    } else if (/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.test(str)) {
+        let hex = str.slice(1);
+        if (hex.length <= 4) hex = hex.split('').map(char => char + char).join('');
+
+        const channels = hex.match(/../g).map(pair => parseInt(pair, 16) / 255);
+        rgb = channels.slice(0, 3);
+        if (channels.length === 4) alpha = channels[3];
+
+    // Functional colors (rgb(), rgba(), hsl(), hsla())
+    } else {
+        const match = str.match(/^(rgba?|hsla?)\((.*)\)$/);
+        if (!match) return;
+
+        const args = splitColorArgs(match[2]);
+        if (args.length < 3) return;
+
+        if (match[1].startsWith('rgb')) {
+            rgb = args.slice(0, 3).map(arg => parseChannel(arg, 255) / 255);
+        } else {
+            rgb = hslToRgb(parseFloat(args[0]), parseChannel(args[1], 100) / 100, parseChannel(args[2], 100) / 100);
+        }
+        if (args[3] !== undefined) alpha = parseChannel(args[3]);
+    }
+
+    if (rgb.some(isNaN) || isNaN(alpha)) return;
+
+    return { ...rgbToOklch(rgb), alpha: Math.max(0, Math.min(1, alpha)) };
+}
+
+
+/**
+ * Interpolates between two OKLCH colors.
+ *
+ * - Hues are interpolated along the shorter arc.
+ * - Achromatic and fully transparent colors adopt the hue (and color) of the other color,
+ *   so that e.g. fading from `transparent` does not pass through black.
+ *
+ * @param {Object} from - The start color (`{ l, c, h, alpha }`).
+ * @param {Object} to - The end color (`{ l, c, h, alpha }`).
+ * @param {number} progress - The interpolation progress (0 to 1).
+ *
+ * @returns {Object} - The interpolated color.
+ */
+export function mixColors(from, to, progress) {
+    const lerp = (a, b) => a + (b - a) * progress;
+
+    if (!from.alpha) from = { ...to, alpha: 0 };
+    if (!to.alpha) to = { ...from, alpha: 0 };
+
+    let fromHue = from.c < 0.0001 ? to.h : from.h;
+    let toHue = to.c < 0.0001 ? fromHue : to.h;
+
+    // Interpolate along the shorter arc
+    if (toHue - fromHue > 180) fromHue += 360;
+    else if (fromHue - toHue > 180) toHue += 360;
+
+    return {
+        l: lerp(from.l, to.l),
+        c: lerp(from.c, to.c),
+        h: (lerp(fromHue, toHue) + 360) % 360,
+        alpha: lerp(from.alpha, to.alpha)
+    };
+}
+
+
+/**
+ * Formats an OKLCH color as a CSS `rgba()` string.
+ *
+ * @param {Object} color - The color as `{ l, c, h, alpha }`.
+ *
+ * @returns {string} - The CSS color string.
+ */
+export function formatColor(color) {
+    const [r, g, b] = oklchToRgb(color).map(c => Math.round(c * 255));
+    const alpha = Math.round(color.alpha * 1000) / 1000;
+
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
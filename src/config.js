@@ -0,0 +1,142 @@
+// Dependencies
+import { getAnimationConfig } from './animation.js';
+import { safeParseJSON } from './utils.js';
+
+
+/**
+ * Parses a declarative config, which maps selectors to animation configs and defines triggers:
+ *
+ *     {
+ *         "animations": { ".hero h1": { "fade": { "start": 0 }, "range": "#hero", "offset": "0 -20%" } },
+ *         "triggers": [{ "class": "is-active", "range": "#hero", "position": "50%" }]
+ *     }
+ *
+ * @param {Object|string} config - The config object or its JSON string.
+ *
+ * @returns {Object} - The config as `{ animations, triggers }` (empty if the config is invalid).
+ */
+export function parseConfig(config) {
+    if (typeof config === 'string') config = safeParseJSON(config, 'config');
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        console.warn('ScrollageJS: Invalid config. Expected an object with `animations` and / or `triggers`.');
+        return { animations: {}, triggers: [] };
+    }
+
+    const animations = config.animations && typeof config.animations === 'object' && !Array.isArray(config.animations)
+        ? config.animations
+        : {};
+    const triggers = Array.isArray(config.triggers) ? config.triggers : [];
+
+    return { animations, triggers };
+}
+
+
+/**
+ * Fetches a declarative config from a URL.
+ *
+ * @param {string} url - The URL of the JSON config file.
+ *
+ * @returns {Promise<Object|null>} - Resolves with the config object, or with `null` if it could not be loaded.
+ */
+export function fetchConfig(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            return response.json();
+        })
+        .catch(error => {
+            console.warn(`ScrollageJS: Could not load config "${url}".`, error);
+            return null;
+        });
+}
+
+
+/**
+ * Reads the config of an element from its data attributes, in the format of a declarative config.
+ *
+ * @param {HTMLElement} el - The animated element.
+ *
+ * @returns {Object} - The animation types and the timeline settings of the element.
+ */
+export function getAttributeConfig(el) {
+    const config = getAnimationConfig(el);
+
+    const range = el.getAttribute('data-timeline-range');
+    const offset = el.getAttribute('data-timeline-offset');
+    const smooth = parseFloat(el.getAttribute('data-smooth'));
+    const reducedMotion = el.getAttribute('data-reduced-motion');
+    const pin = el.getAttribute('data-pin');
+    const overlap = parseFloat(el.getAttribute('data-overlap'));
+
+    if (range) config.range = range;
+    if (offset) config.offset = offset;
+    if (Number.isFinite(smooth)) config.smooth = smooth;
+    if (reducedMotion) config.reducedMotion = reducedMotion;
+    if (pin != null && pin !== 'false') config.pin = true;
+    if (Number.isFinite(overlap)) config.overlap = overlap;
+
+    return config;
+}
+
+
+/**
+ * Creates a selector that uniquely identifies an element, based on its `id` or its position below
+ * the closest ancestor with an `id`.
+ *
+ * @param {HTMLElement} el - The element.
+ *
+ * @returns {string} - The selector, e.g. `'#hero'` or `'#hero > div:nth-of-type(2)'`.
+ */
+export function getSelector(el) {
+    const escape = (value) => window.CSS?.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+    const parts = [];
+
+    while (el && el.nodeType === Node.ELEMENT_NODE) {
+        if (el.id) {
+            parts.unshift(`#${escape(el.id)}`);
+            break;
+        }
+
+        const tagName = el.tagName.toLowerCase();
+        if (tagName === 'html' || tagName === 'body') {
+            parts.unshift(tagName);
+            break;
+        }
+
+        const siblings = el.parentElement ? [...el.parentElement.children].filter(child => child.tagName === el.tagName) : [el];
+        parts.unshift(siblings.length > 1 ? `${tagName}:nth-of-type(${siblings.indexOf(el) + 1})` : tagName);
+
+        el = el.parentElement;
+    }
+
+    return parts.join(' > ');
+}
+
+
+/**
+ * Converts a JavaScript config into a JSON-compatible value.
+ *
+ * Elements are replaced by their selectors, while functions (e.g. easing functions or callbacks) are omitted.
+ *
+ * @param {*} value - The value to serialize.
+ *
+ * @returns {*} - The serializable value (`undefined` if the value cannot be serialized).
+ */
+export function serializeConfig(value) {
+    if (typeof value === 'function' || value === undefined) return undefined;
+    if (value instanceof Element) return getSelector(value);
+    if (Array.isArray(value)) return value.map(serializeConfig).filter(item => item !== undefined);
+
+    if (value && typeof value === 'object') {
+        const result = {};
+
+        for (const key of Object.keys(value)) {
+            const item = serializeConfig(value[key]);
+            if (item !== undefined) result[key] = item;
+        }
+        return result;
+    }
+
+    return value;
+}
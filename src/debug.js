@@ -0,0 +1,94 @@
+// Class of the debug overlay (see `scrollage.scss`)
+export const DEBUG_CLASS = 'scrollage-debug';
+
+
+/**
+ * Creates the debug overlay, which scrolls along with the content of the source.
+ *
+ * Sources without a positioning context are positioned relatively, so that the overlay scrolls with their content.
+ *
+ * @param {HTMLElement} source - The scroll-container source.
+ * @param {boolean} [isVertical=true] - Whether the source scrolls vertically (or horizontally).
+ *
+ * @returns {Object} - The overlay as `{ el, container, originalPosition, progressLabels }`.
+ */
+export function createDebugOverlay(source, isVertical = true) {
+    const el = document.createElement('div');
+    el.className = isVertical ? DEBUG_CLASS : `${DEBUG_CLASS} is-horizontal`;
+
+    const container = source === document.documentElement ? document.body : source;
+    const isStatic = container !== document.body && window.getComputedStyle(container).position === 'static';
+    const originalPosition = isStatic ? container.style.position : null;
+
+    if (isStatic) container.style.position = 'relative';
+    container.appendChild(el);
+
+    return { el, container, originalPosition, progressLabels: [] };
+}
+
+
+/**
+ * Removes the debug overlay and restores the position of its container.
+ *
+ * @param {Object} overlay - The debug overlay (see `createDebugOverlay()`).
+ *
+ * @returns {void}
+ */
+export function removeDebugOverlay(overlay) {
+    overlay.el.remove();
+    if (overlay.originalPosition !== null) overlay.container.style.position = overlay.originalPosition;
+}
+
+
+/**
+ * Replaces the markers of the debug overlay.
+ *
+ * - `start` / `end` / `trigger` markers are lines across the source at a position along the scroll axis.
+ * - `progress` markers are labels at the position of an element, which are updated via `updateDebugProgress()`.
+ *
+ * @param {Object} overlay - The debug overlay (see `createDebugOverlay()`).
+ * @param {Array<Object>} markers - The markers as `{ type, label, position }` (lines) or `{ type, label, top, left, block }` (labels),
+ *                                  with positions in pixels relative to the overlay.
+ * @param {boolean} [isVertical=true] - Whether the source scrolls vertically (or horizontally).
+ *
+ * @returns {void}
+ */
+export function setDebugMarkers(overlay, markers, isVertical = true) {
+    const fragment = document.createDocumentFragment();
+    overlay.progressLabels = [];
+
+    for (const marker of markers) {
+        const markerEl = document.createElement('div');
+        markerEl.className = `${DEBUG_CLASS}-marker is-${marker.type}`;
+        markerEl.textContent = marker.label;
+
+        if (marker.type === 'progress') {
+            markerEl.style.top = `${marker.top}px`;
+            markerEl.style.left = `${marker.left}px`;
+            overlay.progressLabels.push({ el: markerEl, label: marker.label, block: marker.block });
+        } else {
+            markerEl.style[isVertical ? 'top' : 'left'] = `${marker.position}px`;
+        }
+
+        fragment.appendChild(markerEl);
+    }
+
+    overlay.el.replaceChildren(fragment);
+}
+
+
+/**
+ * Updates the progress labels of the debug overlay.
+ *
+ * @param {Object} overlay - The debug overlay (see `createDebugOverlay()`).
+ *
+ * @returns {void}
+ */
+export function updateDebugProgress(overlay) {
+    for (const { el, label, block } of overlay.progressLabels) {
+        const progress = Number.isFinite(block.progress) ? `${Math.round(block.progress * 100)}%` : '–';
+        const text = `${label} ${progress}`;
+
+        if (el.textContent !== text) el.textContent = text;
+    }
+}
@@ -46,9 +46,10 @@ const EasingFuncs = {
         const m = p - 1, t = p * 2, k = 1.70158 * 1.525;
         return p < 0.5 ? p * t * (t * (k + 1) - k) : 1 + 2 * m * m * (2 * m * (k + 1) + k);
     },
-    bouncein: (p) => 1 - EasingFuncs.OutBounce(1 - p),
+    bouncein: (p) => 1 - EasingFuncs.bounceout(1 - p),
     bounceout: (p) => {
-        const r = 1 / 2.75, k0 = 7.5625, t = 0;
+        const r = 1 / 2.75, k0 = 7.5625;
+        let t;
         if (p < r) return k0 * p * p;
         else if (p < 2 * r) return k0 * (t = p - 1.5 * r) * t + 0.75;
         else if (p < 2.5 * r) return k0 * (t = p - 2.25 * r) * t + 0.9375;
@@ -57,8 +58,8 @@ const EasingFuncs = {
     bounceinout: (p) => {
         const t = p * 2;
         return t < 1
-            ? 0.5 - 0.5 * EasingFuncs.OutBounce(1 - t)
-            : 0.5 + 0.5 * EasingFuncs.OutBounce(t - 1);
+            ? 0.5 - 0.5 * EasingFuncs.bounceout(1 - t)
+            : 0.5 + 0.5 * EasingFuncs.bounceout(t - 1);
     },
     elasticin: (p) => {
         const m = p - 1;
@@ -73,4 +74,173 @@ const EasingFuncs = {
     },
 };
 
+
+
+/**
+ * Creates an easing function from a cubic Bézier curve, equivalent to CSS `cubic-bezier()`.
+ *
+ * Solves the curve's x(t) = p via Newton-Raphson iterations with a bisection fallback.
+ *
+ * @param {number} x1 - The x coordinate of the first control point (0 to 1).
+ * @param {number} y1 - The y coordinate of the first control point.
+ * @param {number} x2 - The x coordinate of the second control point (0 to 1).
+ * @param {number} y2 - The y coordinate of the second control point.
+ *
+ * @returns {Function} - The easing function.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+
+    const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+    const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+    const sampleDerivativeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+    const solveT = (p) => {
+        let t = p;
+
+        // Newton-Raphson iterations
+        for (let i = 0; i < 8; i++) {
+            const x = sampleX(t) - p;
+            if (Math.abs(x) < 1e-6) return t;
+
+            const d = sampleDerivativeX(t);
+            if (Math.abs(d) < 1e-6) break;
+            t -= x / d;
+        }
+
+        // Bisection fallback
+        let lower = 0, upper = 1;
+        t = p;
+        while (lower < upper) {
+            const x = sampleX(t);
+            if (Math.abs(x - p) < 1e-6) return t;
+            if (p > x) lower = t;
+            else upper = t;
+            if (upper - lower < 1e-6) return t;
+            t = (lower + upper) / 2;
+        }
+        return t;
+    };
+
+    return (p) => (p <= 0 || p >= 1) ? p : sampleY(solveT(p));
+}
+
+
+/**
+ * Creates a stepping easing function, equivalent to CSS `steps()`.
+ *
+ * @param {number} count - The number of steps.
+ * @param {string} [position='end'] - The jump position: `jump-start`/`start`, `jump-end`/`end`, `jump-none` or `jump-both`.
+ *
+ * @returns {Function} - The easing function.
+ */
+export function steps(count, position = 'end') {
+    const jumpStart = ['start', 'jump-start', 'jump-both'].includes(position);
+    const jumpEnd = ['end', 'jump-end', 'jump-both'].includes(position);
+    const jumps = count - 1 + jumpStart + jumpEnd;
+
+    return (p) => {
+        if (p >= 1) return 1;
+
+        let step = Math.floor(p * count) + (jumpStart ? 1 : 0);
+        step = Math.max(0, Math.min(step, jumps));
+
+        return jumps > 0 ? step / jumps : 1;
+    };
+}
+
+
+// CSS easing keywords
+const CSS_EASINGS = {
+    'linear': (p) => p,
+    'ease': cubicBezier(0.25, 0.1, 0.25, 1),
+    'ease-in': cubicBezier(0.42, 0, 1, 1),
+    'ease-out': cubicBezier(0, 0, 0.58, 1),
+    'ease-in-out': cubicBezier(0.42, 0, 0.58, 1),
+    'step-start': steps(1, 'start'),
+    'step-end': steps(1, 'end')
+};
+
+// Cache for parsed easing strings
+const parsedEasings = {};
+
+
+/**
+ * Parses a CSS easing function string (`cubic-bezier(...)` or `steps(...)`).
+ *
+ * @param {string} easing - The lowercase easing string (e.g. `'cubic-bezier(0.2,0.8,0.2,1)'` or `'steps(4, end)'`).
+ *
+ * @returns {Function|null} - The easing function or `null` if the string is invalid.
+ */
+function parseEasing(easing) {
+    const match = easing.match(/^(cubic-bezier|steps)\((.*)\)$/);
+    if (!match) return null;
+
+    const args = match[2].split(',').map(arg => arg.trim());
+
+    if (match[1] === 'cubic-bezier') {
+        const points = args.map(Number);
+        if (points.length !== 4 || points.some(isNaN)) return null;
+        if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) return null;
+
+        return cubicBezier(...points);
+    }
+
+    const count = parseInt(args[0], 10);
+    const position = args[1] || 'end';
+    const positions = ['start', 'end', 'jump-start', 'jump-end', 'jump-none', 'jump-both'];
+
+    if (!(count > 0) || !positions.includes(position)) return null;
+    if (position === 'jump-none' && count < 2) return null;
+
+    return steps(count, position);
+}
+
+
+/**
+ * Retrieves an easing function by name, CSS easing string or function.
+ *
+ * - Names are case-insensitive (e.g. `'SineIn'`) and include registered easings.
+ * - Supports CSS keywords (e.g. `'ease-out'`), `cubic-bezier()` and `steps()`.
+ *
+ * @param {string|Function|false} easing - The easing name, CSS easing string or function.
+ *
+ * @returns {Function|null} - The easing function or `null` if the easing is unknown.
+ */
+export function getEasingFunc(easing) {
+    if (typeof easing === 'function') return easing;
+    if (!easing || typeof easing !== 'string') return null;
+
+    const key = easing.trim().toLowerCase();
+
+    if (EasingFuncs[key]) return EasingFuncs[key];
+    if (CSS_EASINGS[key]) return CSS_EASINGS[key];
+
+    if (!(key in parsedEasings)) {
+        parsedEasings[key] = parseEasing(key.replace(/\s+/g, ' '));
+    }
+    return parsedEasings[key];
+}
+
+
+/**
+ * Registers a custom easing function, which can then be referenced by its (case-insensitive) name.
+ *
+ * @param {string} name - The easing name.
+ * @param {Function} fn - The easing function, mapping a progress (0 to 1) to an eased progress.
+ *
+ * @returns {boolean} - `true` if the easing was registered.
+ */
+export function registerEasing(name, fn) {
+    if (!name || typeof name !== 'string' || typeof fn !== 'function') {
+        console.warn('ScrollageJS: Easings need to be registered with a name and a function.');
+        return false;
+    }
+
+    EasingFuncs[name.trim().toLowerCase()] = fn;
+    return true;
+}
+
+
 export default EasingFuncs;
@@ -0,0 +1,69 @@
+// Attribute that defines a group container
+export const GROUP_ATTRIBUTE = 'data-scrollage-group';
+
+
+/**
+ * Creates a group from a group container element.
+ *
+ * The container defines the shared scroll-timeline range of its children (`data-timeline-range`, defaults to the
+ * container itself, and `data-timeline-offset`), as well as the `data-stagger` between them.
+ *
+ * @param {HTMLElement} container - The element with the `data-scrollage-group` attribute.
+ *
+ * @returns {Object} - The group as `{ name, el, range, offset, stagger }`.
+ */
+export function getGroupData(container) {
+    return {
+        name: container.getAttribute(GROUP_ATTRIBUTE) || null,
+        el: container,
+        range: container.getAttribute('data-timeline-range') || container,
+        offset: container.getAttribute('data-timeline-offset'),
+        stagger: container.getAttribute('data-stagger')
+    };
+}
+
+
+/**
+ * Splits the progress of a group into consecutive segments, one per child.
+ *
+ * All children have the same duration. Each child starts after its predecessor has completed the `stagger`
+ * share of its duration (`1` = one after another, `0.5` = halfway through, `0` = all at once).
+ * The `overlap` of a child overrides this as the share of its duration that overlaps its predecessor.
+ *
+ * @param {Array<number|null>} overlaps - The overlap of each child (`null` to use the stagger).
+ * @param {number} [stagger=1] - The stagger between the children.
+ *
+ * @returns {Array<Object>} - The segments of the group progress as `{ start, end }` (0 to 1), one per child.
+ */
+export function getGroupSegments(overlaps, stagger = 1) {
+    const starts = [];
+    let start = 0;
+
+    for (let i = 0; i < overlaps.length; i++) {
+        if (i > 0) start += 1 - (overlaps[i] ?? 1 - stagger);
+        starts.push(start);
+    }
+
+    // Normalize to the total duration (children may start before their predecessors with an overlap above 1)
+    const minStart = Math.min(0, ...starts);
+    const total = Math.max(...starts.map(start => start + 1)) - minStart;
+
+    return starts.map(start => ({
+        start: (start - minStart) / total,
+        end: (start - minStart + 1) / total
+    }));
+}
+
+
+/**
+ * Maps the progress of a group to the progress within a segment.
+ *
+ * @param {number} progress - The group progress (0 to 1).
+ * @param {Object} segment - The segment as `{ start, end }`.
+ *
+ * @returns {number} - The progress within the segment (0 to 1).
+ */
+export function getSegmentProgress(progress, segment) {
+    if (segment.end <= segment.start) return progress < segment.start ? 0 : 1;
+    return Math.max(0, Math.min(1, (progress - segment.start) / (segment.end - segment.start)));
+}
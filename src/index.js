@@ -2,9 +2,18 @@
 import ResizeObserver from 'resize-observer-polyfill';
 
 // Internal Dependencies
-import { supportsPassiveEvents, debounce, splitValueUnit, calculateUnitValue } from './utils.js';
-import { getAnimationData, move, rotate, scale, fade, blur, saturate } from './animation.js';
-import { getCurrentBreakpoint, isValidBreakpoints } from './breakpoints.js';
+import { supportsPassiveEvents, debounce, splitValueUnit, calculateUnitValue, getUntransformedOffset, isEqualSizes } from './utils.js';
+import { getAnimationData, getAnimationAttributes, hasAnimationValues, move, rotate, skew, scale, fade, blur, saturate, color, shadow, vars } from './animation.js';
+import { normalizeBreakpoints, getActiveBreakpoints, getResponsiveData, isValidBreakpoints } from './breakpoints.js';
+import { registerEasing } from './easing.js';
+import { scheduleUpdate, scheduleRender, cancelScheduled, readScrollPos } from './scheduler.js';
+import { hasPin, createPinSpacer, removePinSpacer, getOriginalPinStyles, getPinState, applyPin } from './pin.js';
+import { animateScroll, getSnapTarget } from './scroll.js';
+import { GROUP_ATTRIBUTE, getGroupData, getGroupSegments, getSegmentProgress } from './group.js';
+import { parseConfig, fetchConfig, getAttributeConfig, getSelector, serializeConfig } from './config.js';
+import { describeElement, getElementIssues, getTriggerIssues } from './validation.js';
+import { DEBUG_CLASS, createDebugOverlay, removeDebugOverlay, setDebugMarkers, updateDebugProgress } from './debug.js';
+import { supportsScrollTimeline, supportsWebAnimations, sampleKeyframes, createScrollAnimation, createProgressAnimation, setAnimationProgress } from './native.js';
 
 
 import './scrollage.scss';
@@ -52,16 +61,105 @@ class Scrollage {
         source: null,
 		breakpoints: [781, 1024, 1366],
         triggers: [],
-        initialize: true
-        // TO-DO: callback: function()
+        smooth: 0,
+        culling: false,
+        cullingMargin: '25%',
+        observe: false,
+        reducedMotion: 'disable',
+        snap: false,
+        directionClasses: false,
+        renderer: 'js',
+        config: null,
+        strict: false,
+        debug: false,
+        initialize: true,
+        onInit: null,
+        onDestroy: null,
+        onUpdate: null,
+        onProgress: null,
+        onEnter: null,
+        onLeave: null,
+        onTriggerOn: null,
+        onTriggerOff: null,
+        onLoad: null
     };
 
+	// Supported events and their corresponding option callbacks.
+	static EVENTS = {
+		'init': 'onInit',
+		'destroy': 'onDestroy',
+		'update': 'onUpdate',
+		'progress': 'onProgress',
+		'enter': 'onEnter',
+		'leave': 'onLeave',
+		'trigger:on': 'onTriggerOn',
+		'trigger:off': 'onTriggerOff',
+		'load': 'onLoad'
+	};
+
 	// Determines if the browser supports passive event listeners.
 	static supportsPassive = supportsPassiveEvents();
 
+	/**
+	 * Registers a custom easing function for all instances.
+	 *
+	 * @param {string} name - The (case-insensitive) easing name, e.g. `'myEase'`.
+	 * @param {Function} fn - The easing function, mapping a progress (0 to 1) to an eased progress.
+	 *
+	 * @returns {boolean} - `true` if the easing was registered.
+	 */
+	static registerEasing(name, fn) {
+		return registerEasing(name, fn);
+	}
+
+	// Direction classes applied by triggers with `directionClasses` enabled
+	static TRIGGER_DIRECTION_CLASSES = ['entering', 'leaving'].flatMap(state =>
+		['down', 'up', 'right', 'left'].map(direction => `is-${state}-${direction}`)
+	);
+
+	// Direction classes applied to the source with `directionClasses` enabled
+	static SCROLL_DIRECTION_CLASSES = ['down', 'up', 'right', 'left'].map(direction => `is-scrolling-${direction}`);
+
+	// Scroll velocity tracking: Share of the measured velocity applied per update, share of the velocity lost
+	// per frame (at 60 fps) once scrolling has stopped, and the time in ms without updates after which it has stopped
+	static VELOCITY_SMOOTHING = 0.3;
+	static VELOCITY_RELAXATION = 0.15;
+	static VELOCITY_IDLE_TIME = 50;
+
+	// Default velocity (px/s) at which velocity-driven animations reach their end values
+	static DEFAULT_MAX_VELOCITY = 2000;
+
+	// Supported `reducedMotion` policies (applied while 'prefers-reduced-motion' is enabled)
+	static REDUCED_MOTION_MODES = ['disable', 'snap-to-end', 'opacity-only', 'none'];
+
+	// Supported `renderer` modes
+	static RENDERERS = ['js', 'native', 'waapi'];
+
+	// Number of evenly distributed segments between the sampled keyframes of native animations (see `sampleKeyframes()`)
+	static NATIVE_KEYFRAME_SAMPLES = 20;
+
+	// Default settings of the `snap` option
+	static SNAP_DEFAULTS = {
+		points: 'blocks',
+		delay: 150,
+		duration: 500,
+		easing: 'CubicInOut',
+		directionBias: 0
+	};
+
+	// Default options of `scrollTo()`
+	static SCROLL_DEFAULTS = {
+		duration: 500,
+		easing: 'CubicInOut',
+		offset: 0
+	};
+
+	// User interactions that cancel programmatic scrolling
+	static INTERACTION_EVENTS = ['wheel', 'mousedown', 'keydown', 'touchstart', 'touchend', 'touchcancel'];
+
 	// Static handler for all instances
 	static handleResizeEvent() {
-		Scrollage.instances.forEach( instance => instance.init() );
+		Scrollage.instances.forEach( instance => instance.refresh() );
 	}
 
 	static instances = [];
@@ -71,14 +169,17 @@ class Scrollage {
 	/**
      * Creates an instance of Scrollage.
      *
-     * @param {string|HTMLElement} [el] - The selector or element to animate.
+     * @param {string|HTMLElement|Object} [el] - The selector or element to animate (or the options).
      * @param {Object} [options={}] - Configuration options for customization.
      *
      * @throws {Warning} Logs a warning if initialized before the DOM is fully loaded.
      */
     constructor( el, options = {} ) {
-		// Add instance to the static list
-		Scrollage.instances.push(this);
+		// Allow passing the options only, e.g. `new Scrollage({ config: '/scroll.json' })`
+		if (Object.prototype.toString.call(el) === '[object Object]') {
+			options = el;
+			el = null;
+		}
 
 		// Warn when DOM is not ready
         if (document.readyState === 'loading') {
@@ -96,11 +197,54 @@ class Scrollage {
 		this.wrapperSizes = {};
 
 		this.currentBreakpoint = null;
+		this.activeBreakpoints = [];
+		this.breakpointQueries = [];
 		this.reducedMotion = false;
+		this.reducedMotionQuery = null;
 		this.breakpoints = [];
 		this.elems = [];
 		this.blocks = [];
 		this.triggers = [];
+		this.events = {};
+		this.configs = new Map();
+		this.excludedElems = new Set();
+		this.firedTriggers = new WeakSet();
+		this.resizedElems = new Set();
+		this.pinSpacers = new Map();
+		this.groups = new Map();
+		this.selectors = new Map();
+		this.nativeAnimations = new Map();
+		this.reportedTriggers = new WeakSet();
+		this.renderer = 'js';
+		this.debugOverlay = null;
+		this.pinOrigin = { x: 0, y: 0 };
+		this.sourceScrollPos = { top: 0, left: 0 };
+
+		this.scrollPos = 0;
+		this.scrollDirection = null;
+		this.directionClass = null;
+		this.velocity = 0;
+		this.lastScrollTime = null;
+
+		this.snapOptions = null;
+		this.snapTimer = null;
+		this.scrollAnimation = null;
+		this.isTouching = false;
+
+		this.lastFrameTime = null;
+
+		// Load a declarative config (a config file is applied once it has been loaded, see `ready`)
+		const config = this.options.config;
+		this.ready = Promise.resolve(this);
+
+		if (typeof config === 'string' && !config.trim().startsWith('{')) {
+			this.ready = fetchConfig(config).then(data => {
+				if (data) this.load(data);
+				return this;
+			});
+		} else if (config) {
+			this.load(config);
+		}
 
         if (this.options.initialize) this.init();
     }
@@ -110,20 +254,37 @@ class Scrollage {
 	 * Initializes the scrollage system and caches all necessary element values.
 	 */
 	init() {
-		this.destroy();
+		// Validate elements (and DON'T return early otherwise!)
+		const elems = this.resolveElems(this.el).filter(el => !this.excludedElems.has(el));
+		//if (!elems || !elems.length) return;
+
+		// Include elements that were added via `add()`
+		for (const el of this.configs.keys()) {
+			if (el.isConnected && !elems.includes(el)) elems.push(el);
+		}
 
-		// Warn when 'prefers-reduced-motion' is enabled
-		this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-		if (this.reducedMotion) console.warn('ScrollageJS: "prefers-reduced-motion" is enabled. Animations will be disabled.');
+		// Validate configs and attributes before anything is changed (`strict` mode throws and keeps the current state)
+		for (const el of elems) this.validateElem(el);
+		this.validateTriggers(this.options.triggers);
 
-		// Validate elements (and DON'T return early otherwise!)
-		this.elems = (typeof this.el === 'string') 
-			? document.querySelectorAll(this.el) 
-			: this.el instanceof NodeList ? this.el : [this.el];
-		//if (!this.elems || !this.elems.length) return;
+		this.teardown();
+
+		// Add instance to the static list
+		if (!Scrollage.instances.includes(this)) Scrollage.instances.push(this);
+		this.elems = elems;
+
+		// Watch 'prefers-reduced-motion', since it may change at any time
+		this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+		this.reducedMotionQuery.addEventListener?.('change', this.handleReducedMotionChange);
+		this.reducedMotion = this.reducedMotionQuery.matches;
 
 		this.isVertical = this.options.direction !== 'horizontal';
 
+		// Use native animations if requested and supported (falls back to JavaScript otherwise)
+		this.renderer = this.getRenderer(this.options.renderer);
+		if (this.renderer === 'native' && !supportsScrollTimeline()) this.renderer = 'js';
+		if (this.renderer === 'waapi' && !supportsWebAnimations()) this.renderer = 'js';
+
 		// Validate scroll-container source and set to default otherwise
 		if (this.options.source) {
 			this.source = this.validateEl(this.options.source, 'source');
@@ -134,27 +295,47 @@ class Scrollage {
 			this.isDocumentSource = true;
 		}
 
-		this.sourceSizes = { x: this.source.scrollWidth, y: this.source.scrollHeight };
-		this.wrapperSizes = { x: this.source.offsetWidth, y: this.source.offsetHeight };
-		this.winSizes = { x: window.innerWidth, y: window.innerHeight };
+		this.measureSizes();
+
+		// Start from the current scroll position, so that a page loaded while scrolled has no initial direction
+		this.scrollPos = this.getScrollPos();
 
 		this.breakpoints = isValidBreakpoints(this.options.breakpoints) 
 			? this.options.breakpoints 
 			: Scrollage.DEFAULT_OPTIONS.breakpoints;
 
-		this.currentBreakpoint = getCurrentBreakpoint(this.winSizes.x, this.breakpoints);
+		// Normalize snap settings (`true`, an array of snap points or an object)
+		const snap = this.options.snap;
+		this.snapOptions = snap ? { 
+			...Scrollage.SNAP_DEFAULTS, 
+			...(Array.isArray(snap) ? { points: snap } : typeof snap === 'object' ? snap : {}) 
+		} : null;
 
-		// Reset potential element styles
-		if (this.blocks?.length) {
-			for (let i = 0; i < this.blocks.length; i++) {
-				this.elems[i].style.cssText = this.blocks[i].originalStyles || '';
-			}
+		this.breakpointEntries = normalizeBreakpoints(this.breakpoints);
+		this.updateBreakpoints();
+
+		// Watch media query breakpoints, since they may change without resizing
+		for (const breakpoint of this.breakpointEntries) {
+			if (!breakpoint.query) continue;
+
+			const mediaQuery = window.matchMedia(breakpoint.query);
+			mediaQuery.addEventListener?.('change', this.handleBreakpointChange);
+			this.breakpointQueries.push(mediaQuery);
 		}
 
 		// Setup and cache
+		this.setupCulling();
+		this.setupResizeObserver();
+		this.wrapPins(this.elems);
 		this.cacheBlocks();
+		this.updateGroupSegments();
+
+		// Reserve the pin distances, which moves the subsequent content
+		if (this.applyPinSpacing()) this.measureBlocks();
+
 		this.cacheTriggers();
-		
+		this.syncNativeAnimations();
+		this.updateDebugOverlay();
 
 		// Setup Listeners & observers initially
 		this.setupListeners();
@@ -164,6 +345,8 @@ class Scrollage {
 
 		Scrollage.isInitialized = true;
 
+		this.emit('init');
+
 		// DEBUGGING
 		if (Scrollage.DEBUG_MODE) {
 			console.log( this );
@@ -183,25 +366,319 @@ class Scrollage {
 		// Add scroll & touchmove listeners at instance level
 		(this.options.source ? this.source : window)?.addEventListener(
 			'scroll', 
-			this.update, 
+			this.handleScroll, 
 			Scrollage.supportsPassive ? { passive: true } : false
 		);
 		(this.options.source ? this.source : window)?.addEventListener(
 			'touchmove',
-			this.update,
+			this.handleScroll,
 			Scrollage.supportsPassive ? { passive: true } : false
 		);
 
-		// Add resize observer at instance level
-		if (!this.resizeObserver) {
-			this.resizeObserver = new ResizeObserver(debounce(() => this.init()));
-			this.resizeObserver.observe(this.source);
+		// Pinned elements of a custom source move with the source when the page scrolls
+		if (!this.isDocumentSource) {
+			window.addEventListener(
+				'scroll',
+				this.handleWindowScroll,
+				Scrollage.supportsPassive ? { passive: true } : false
+			);
+		}
+
+		// Add user interaction listeners at instance level
+		for (const type of Scrollage.INTERACTION_EVENTS) {
+			(this.options.source ? this.source : window)?.addEventListener(
+				type,
+				this.handleInteraction,
+				Scrollage.supportsPassive ? { passive: true } : false
+			);
+		}
+
+		// Add mutation observer at instance level (opt-in)
+		if (this.options.observe && !this.mutationObserver && 'MutationObserver' in window) {
+			this.mutationObserver = new MutationObserver(this.handleMutations);
+			this.mutationObserver.observe(document.documentElement, {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeOldValue: true,
+				attributeFilter: [
+					'class',
+					...getAnimationAttributes(),
+					'data-timeline-range',
+					'data-timeline-offset',
+					'data-smooth',
+					'data-reduced-motion',
+					'data-pin',
+					'data-overlap',
+					'data-stagger',
+					GROUP_ATTRIBUTE
+				]
+			});
 		}
 
 		this.isActive = true;
 	}
 
+
+	/**
+	 * Sets up a ResizeObserver that re-measures the instance when the source or a block changes its size.
+	 *
+	 * - Observes the source, as well as the animated and range elements of the blocks (see `cacheBlock()`).
+	 * - Resized elements are collected and handled at once by `refresh()` (debounced).
+	 *
+	 * @returns {void}
+	 */
+	setupResizeObserver() {
+		this.resizeObserver = new ResizeObserver(this.handleResize);
+		this.resizeObserver.observe(this.source);
+	}
+
+
+	/**
+	 * Collects the resized elements of ResizeObserver entries and refreshes the instance (debounced).
+	 *
+	 * @param {ResizeObserverEntry[]} entries - The observed entries.
+	 * 
+	 * @returns {void}
+	 */
+	handleResize = (entries) => {
+		for (const entry of entries) this.resizedElems.add(entry.target);
+		this.debouncedRefresh();
+	}
+
+
+	/**
+	 * Refreshes the instance with all collected resized elements.
+	 *
+	 * @returns {void}
+	 */
+	debouncedRefresh = debounce(() => {
+		const resizedElems = this.resizedElems;
+		this.resizedElems = new Set();
+
+		// A resized source may move all blocks
+		this.refresh(resizedElems.has(this.source) ? null : resizedElems);
+	});
+
+
+	/**
+	 * Sets up an IntersectionObserver that marks blocks as active or inactive, if `culling` is enabled.
+	 *
+	 * - Observes the timeline range elements of the blocks (see `cacheBlock()`), extended by `cullingMargin`.
+	 * - Blocks without a range element depend on the whole source and always stay active.
+	 * - Blocks also stay active while the scroll position is within their timeline range (see `update()`),
+	 *   since offsets may extend the timeline beyond the visible span of the range element.
+	 * - Inactive blocks are skipped by `update()` and `animate()`, after a final write of their end state.
+	 *
+	 * @returns {void}
+	 */
+	setupCulling() {
+		if (!this.options.culling || !('IntersectionObserver' in window)) return;
+
+		this.cullingObserver = new IntersectionObserver(this.handleCulling, {
+			root: this.isDocumentSource ? null : this.source,
+			rootMargin: this.options.cullingMargin || '0px'
+		});
+	}
+
+
+	/**
+	 * Handles IntersectionObserver entries by activating or deactivating the corresponding blocks.
+	 *
+	 * @param {IntersectionObserverEntry[]} entries - The observed entries.
+	 * 
+	 * @returns {void}
+	 */
+	handleCulling = (entries) => {
+		let hasChanged = false;
+
+		for (const entry of entries) {
+			for (const block of this.blocks) {
+				if (block.rangeEl !== entry.target || block.isActive === entry.isIntersecting) continue;
+
+				block.isActive = entry.isIntersecting;
+
+				// Render the final state of a block once after it became inactive
+				if (!block.isActive) block.needsFinalRender = true;
+				hasChanged = true;
+			}
+		}
+
+		if (hasChanged) scheduleUpdate(this);
+	}
+
+
+	/**
+	 * Checks whether a block needs to be updated and animated.
+	 *
+	 * @param {Object} block - The cached block.
+	 * 
+	 * @returns {boolean} - `true` if the block is active, within its timeline range or still needs its final render.
+	 */
+	isBlockActive = (block) => {
+		return block.isActive || block.isInTimeline || block.needsFinalRender;
+	}
+
 	
+	/**
+	 * Handles DOM mutations (if `observe` is enabled) by caching or uncaching only the affected blocks.
+	 *
+	 * - Caches added elements that match the selector of the instance, as well as elements (and their descendants)
+	 *   that start matching it due to a class change. Class changes of the source and trigger targets are ignored,
+	 *   as well as class changes that cannot affect the selector.
+	 * - Uncaches elements that were removed from the DOM and restores their original styles.
+	 * - Re-caches elements whose animation or timeline attributes have changed.
+	 * - Rebuilds groups whose container attributes have changed and re-caches their children.
+	 *
+	 * @param {MutationRecord[]} mutations - The observed mutations.
+	 * 
+	 * @returns {void}
+	 */
+	handleMutations = (mutations) => {
+		const changedElems = new Set();
+		let hasRemovedNodes = false;
+
+		// Picks up new elements matching the selector of the instance within a node (only for selectors)
+		const addMatches = (node) => {
+			if (typeof this.el !== 'string' || node.nodeType !== Node.ELEMENT_NODE) return;
+
+			const matches = node.matches(this.el) ? [node] : [];
+			matches.push(...node.querySelectorAll(this.el));
+
+			for (const el of matches) {
+				if (!this.excludedElems.has(el) && !this.elems.includes(el)) changedElems.add(el);
+			}
+		};
+
+		// Checks whether a class change can affect the selector of the instance (only for selectors)
+		const canChangeMatches = (mutation) => {
+			if (typeof this.el !== 'string') return false;
+			if (mutation.target === this.source || this.triggers.some(trigger => trigger.targetEl === mutation.target)) {
+				return false;
+			}
+			if (/\[\s*class\b/.test(this.el)) return true;
+
+			const oldClasses = (mutation.oldValue || '').split(/\s+/).filter(Boolean);
+			const newClasses = [...mutation.target.classList];
+			const changedClasses = [
+				...oldClasses.filter(name => !newClasses.includes(name)),
+				...newClasses.filter(name => !oldClasses.includes(name))
+			];
+
+			return changedClasses.some(name => {
+				const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+				return new RegExp(`\\.${escapedName}(?![\\w-])`).test(this.el);
+			});
+		};
+
+		for (const mutation of mutations) {
+			// Ignore the markers of debug overlays (see `updateDebugOverlay()`)
+			if (mutation.target.closest?.(`.${DEBUG_CLASS}`)) continue;
+
+			// Class changes only pick up new elements (cached elements are not re-cached by e.g. trigger classes)
+			if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
+				if (canChangeMatches(mutation)) addMatches(mutation.target);
+				continue;
+			}
+
+			if (mutation.type === 'attributes') {
+				if (this.elems.includes(mutation.target)) changedElems.add(mutation.target);
+
+				// Rebuild changed groups and re-cache their children (see `getBlockGroup()`)
+				if (mutation.attributeName === GROUP_ATTRIBUTE || this.groups.has(mutation.target)) {
+					this.groups.delete(mutation.target);
+
+					for (const el of this.elems) {
+						if (el !== mutation.target && mutation.target.contains(el)) changedElems.add(el);
+					}
+				}
+				continue;
+			}
+
+			if (mutation.removedNodes.length) hasRemovedNodes = true;
+
+			for (const node of mutation.addedNodes) addMatches(node);
+		}
+
+		// Uncache elements that are no longer part of the DOM
+		if (hasRemovedNodes) {
+			for (const el of this.elems.filter(el => !el.isConnected)) this.uncacheBlock(el);
+		}
+
+		// Validate changed elements before they are cached (`strict` mode throws). Invalid elements keep their 
+		// current state, the first error is thrown once all other elements have been handled.
+		const validElems = [];
+		let validationError = null;
+
+		for (const el of changedElems) {
+			if (!el.isConnected) continue;
+
+			try {
+				this.validateElem(el);
+				validElems.push(el);
+			} catch (error) {
+				if (!validationError) validationError = error;
+			}
+		}
+
+		if (validElems.length) this.recacheBlocks(validElems);
+
+		if (hasRemovedNodes || validElems.length) scheduleUpdate(this);
+		if (validationError) throw validationError;
+	}
+
+
+	/**
+	 * Determines the active breakpoints (ordered by precedence) and the current breakpoint.
+	 *
+	 * @returns {void}
+	 */
+	updateBreakpoints = () => {
+		this.activeBreakpoints = getActiveBreakpoints(this.winSizes.x, this.breakpointEntries);
+		this.currentBreakpoint = this.activeBreakpoints[0] || null;
+	}
+
+
+	/**
+	 * Handles changes of media query breakpoints by re-rendering the animations.
+	 *
+	 * @returns {void}
+	 */
+	handleBreakpointChange = () => {
+		this.updateBreakpoints();
+		this.syncNativeAnimations();
+		this.requestRender();
+	}
+
+
+	/**
+	 * Handles changes of the 'prefers-reduced-motion' preference by re-rendering the animations.
+	 *
+	 * The original styles of affected blocks are restored first, so that no styles remain 
+	 * which are not applied by their reduced motion policy (e.g. transforms in `opacity-only` mode).
+	 *
+	 * @param {MediaQueryListEvent} event - The media query change event.
+	 * 
+	 * @returns {void}
+	 */
+	handleReducedMotionChange = (event) => {
+		this.reducedMotion = event.matches;
+
+		for (const block of this.blocks) {
+			if (block.reducedMotion === 'none') continue;
+
+			block.el.style.cssText = block.originalStyles || '';
+			if (block.pin) this.applyPinStyles(block);
+
+			// Re-render culled blocks once as well
+			if (!this.isBlockActive(block)) block.needsFinalRender = true;
+		}
+
+		this.syncNativeAnimations();
+		this.requestRender();
+	}
+
+
 	/**
 	 * Validates whether an element / selector is a valid DOM element.
 	 *
@@ -237,388 +714,2138 @@ class Scrollage {
 
 
 	/**
-	 * Caches and initializes scroll blocks for Scrollage.
+	 * Resolves a selector, element, NodeList or array of elements into an array of elements.
 	 *
-	 * This function iterates over the scrollage elements (`this.elems`), extracts necessary 
-	 * data attributes, stores their original styles, determines their scroll-timeline range, 
-	 * calculates their initial progress, and stores animation data.
+	 * @param {string|HTMLElement|NodeList|Array<HTMLElement>} target - The elements to resolve.
 	 * 
-	 * @returns {void}
+	 * @returns {Array<HTMLElement>} - The resolved elements (empty if none were found).
 	 */
-	cacheBlocks = () => {
-		// Reset previously cached blocks
-		this.blocks = [];
-
-		for (let i = 0; i < this.elems.length; i++) {
-			const el = this.elems[i];
-
-			// Extract scroll-related data attributes
-			const dataRangeSelector = el.getAttribute( 'data-timeline-range' );
-			const dataRangeOffset = el.getAttribute( 'data-timeline-offset' );
-			let dataRangeStart = 0;
-			let dataRangeEnd = 0;
-
-			if (dataRangeOffset) {
-				const rangeOffsetValues = dataRangeOffset.split(/\s+/); // Split by space (supports "20% -100px")
+	resolveElems = (target) => {
+		if (!target) return [];
 
-				dataRangeStart = rangeOffsetValues[0] || 0;
-				dataRangeEnd = rangeOffsetValues[1] || 0;
+		if (typeof target === 'string') {
+			try {
+				return [...document.querySelectorAll(target)];
+			} catch (e) {
+				console.warn(`ScrollageJS: Invalid selector "${target}".`);
+				return [];
 			}
+		}
 
-			// Store original element styles
-			const originalStyles = el.style.cssText;
-
-			// Retrieve animation data for the element
-			const animations = getAnimationData(el);
-
-			// Validate and assign the scroll-timeline range element
-			const rangeEl = dataRangeSelector ? this.validateEl(dataRangeSelector, 'timeline range') : null;
-
-			// Get range dimensions
-			const rangeSizes = { 
-				x: rangeEl?.clientWidth || this.source.scrollWidth, 
-				y: rangeEl?.clientHeight || this.source.scrollHeight
-			};
+		if (target instanceof NodeList || Array.isArray(target)) return [...target];
 
-			// Get element dimensions
-			const elSizes = {
-				x: el.clientWidth, 
-				y: el.clientHeight
-			};
+		return [target];
+	}
 
-			// Compute scroll-timeline range and initial progress
-			const timelineRangeData = this.getTimelineRange(
-				rangeEl, 
-				dataRangeStart,
-				dataRangeEnd
-			);
 
-			const progress = this.getScrollProgress(rangeEl, timelineRangeData);
+	/**
+	 * Caches and initializes scroll blocks for Scrollage.
+	 *
+	 * This function iterates over the scrollage elements (`this.elems`) and caches a block for each of them.
+	 * 
+	 * @returns {void}
+	 */
+	cacheBlocks = () => {
+		// Reset previously cached blocks
+		this.blocks = [];
 
-			// Store the processed block
-			this.blocks.push({
-				progress,
-				rangeEl,
-				rangeSizes,
-				elSizes,
-				timelineRangeData,
-				animations,
-				originalStyles
-			});
+		for (let i = 0; i < this.elems.length; i++) {
+			this.blocks.push( this.cacheBlock(this.elems[i]) );
 		}
 	}
 
 
 	/**
-	 * Sets up and caches custom triggers in order to toggle css classes on specific scroll positions.
+	 * Creates a scroll block for a single element.
 	 *
-	 * This function iterates over the configured triggers, validates their properties, 
-	 * calculates their positions relative to the viewport, and stores them for later use.
+	 * This function extracts the necessary data attributes (or the values of a config added via `add()`), 
+	 * stores the original styles, determines the scroll-timeline range, calculates the initial progress, 
+	 * and stores animation data and the smoothing factor.
+	 * It only reads from the DOM, so that multiple blocks can be cached without forcing additional layouts.
 	 *
-	 * @returns {void}
+	 * @param {HTMLElement} el - The element to create the block for.
+	 * @param {Object|null} [previousBlock=null] - The previous block of the element (if it is already animated or pinned).
+	 * 
+	 * @returns {Object} - The processed block.
 	 */
-	cacheTriggers = () => {
-		this.triggers = [];
+	cacheBlock = (el, previousBlock = null) => {
+		const config = this.configs.get(el) || {};
+
+		// Store original element styles
+		const originalStyles = previousBlock ? previousBlock.originalStyles : el.style.cssText;
+
+		// Keep the pin state of a previous block (the spacer is created by `wrapPins()`)
+		const spacer = this.pinSpacers.get(el);
+		const pin = spacer ? {
+			el,
+			spacer,
+			state: previousBlock?.pin?.state || 'before',
+			spacing: previousBlock?.pin?.spacing || 0,
+			position: previousBlock?.pin?.position || null,
+			originalStyles: getOriginalPinStyles(originalStyles)
+		} : null;
+
+		// Determine the group of the element, which shares its scroll-timeline range with all children
+		const group = this.getBlockGroup(el, config);
+		const dataOverlap = parseFloat(config.overlap ?? el.getAttribute( 'data-overlap' ));
+
+		// Extract scroll-related data attributes (JavaScript config takes precedence)
+		const dataRangeSelector = group ? group.range : config.range || el.getAttribute( 'data-timeline-range' );
+		const dataRangeOffset = group ? group.offset : config.offset ?? el.getAttribute( 'data-timeline-offset' );
+		let dataRangeStart = 0;
+		let dataRangeEnd = 0;
+
+		if (dataRangeOffset) {
+			const rangeOffsetValues = Array.isArray(dataRangeOffset)
+				? dataRangeOffset
+				: String(dataRangeOffset).split(/\s+/); // Split by space (supports "20% -100px")
+
+			dataRangeStart = rangeOffsetValues[0] || 0;
+			dataRangeEnd = rangeOffsetValues[1] || 0;
+		}
 
-		if (!this.options.triggers || !Array.isArray(this.options.triggers)) return;
+		// Pinned elements are pinned at the start of the viewport (or the source) by default
+		const hasDefaultPinOffset = Boolean(pin && !dataRangeOffset);
+		if (hasDefaultPinOffset) dataRangeStart = this.getDefaultPinOffset();
 
-		for (let i = 0; i < this.options.triggers.length; i++) {
-			const trigger = this.options.triggers[i];
+		// Retrieve animation data for the element
+		const animations = getAnimationData(el, config);
 
-			// Skip trigger if no valid class was specified
-			if (!trigger.class || typeof trigger.class !== 'string') continue;
+		// Validate and assign the scroll-timeline range element (pinned elements default to themselves)
+		const rangeEl = dataRangeSelector 
+			? this.validateEl(dataRangeSelector, 'timeline range') 
+			: pin ? el : null;
 
-			// Validate range element and skip trigger if it does not exist
-			const rangeEl = trigger.range ? this.validateEl(trigger.range, 'trigger range') : null;
-			if (trigger.range && !rangeEl) continue;
+		// Get (untransformed) range and element dimensions
+		const measurement = this.measureBlock(el, rangeEl, pin, previousBlock?.measurement);
 
-			// Validate target element and skip trigger if it does not exist
-			const targetEl = ('_self' === trigger.target)
-				? rangeEl
-				: trigger.target ? this.validateEl(trigger.target, 'trigger target') : null;
-			if (trigger.target && !targetEl) continue;
-			
-			const positionData = splitValueUnit(trigger.position) || { value: 0 };
+		// Compute scroll-timeline range and initial progress
+		const timelineRangeData = this.getTimelineRange(
+			rangeEl, 
+			dataRangeStart,
+			dataRangeEnd,
+			measurement
+		);
 
-			let position;
-			let elPos = 0;
+		const progress = this.getScrollProgress(rangeEl, timelineRangeData);
 
-			// If no timeline range specified, determine position in `source`...
-			if (!trigger.range) {
-				const contextSourceSize = this.sourceSizes[this.isVertical ? 'y' : 'x'];
+		// Observe the range element for culling
+		if (this.cullingObserver && rangeEl) this.cullingObserver.observe(rangeEl);
 
-				position = calculateUnitValue(positionData.unit, positionData.value, this.winSizes, contextSourceSize);
+		// Observe the element and range element for size changes
+		if (this.resizeObserver) {
+			this.resizeObserver.observe(el);
+			if (rangeEl) this.resizeObserver.observe(rangeEl);
+		}
 
-			// ...otherwise determine position in `timeline range`
-			} else {
-				const contextRangeSize = this.isVertical ? rangeEl.scrollHeight : rangeEl.scrollWidth;
-				const rect = rangeEl.getBoundingClientRect();
-				elPos = (this.isVertical ? rect.top : rect.left) + this.getScrollPos();
+		// Determine the smoothing factor (element overrides instance option)
+		const dataSmooth = config.smooth ?? el.getAttribute( 'data-smooth' );
+		const smooth = parseFloat(dataSmooth ?? this.options.smooth) || 0;
 
-				position = calculateUnitValue(positionData.unit, positionData.value, this.winSizes, contextRangeSize);
-			}
+		// Determine the reduced motion policy (element overrides instance option)
+		const dataReducedMotion = config.reducedMotion ?? el.getAttribute( 'data-reduced-motion' );
+		const reducedMotion = this.getReducedMotionMode(dataReducedMotion);
 
-			this.triggers.push({
-				position: elPos + position,
-				class: trigger.class,
-				targetEl: targetEl || this.source
-			});
-		}
-	};
+		return {
+			el,
+			progress,
+			targetProgress: progress,
+			smooth: Math.max(0, Math.min(1, smooth)),
+			reducedMotion,
+			group,
+			overlap: Number.isFinite(dataOverlap) ? dataOverlap : null,
+			segment: null,
+			isInside: previousBlock?.isInside ?? false,
+			isActive: true,
+			isInTimeline: false,
+			needsFinalRender: false,
+			rangeEl,
+			rangeOffsets: [dataRangeStart, dataRangeEnd],
+			hasDefaultPinOffset,
+			rangeSizes: measurement.rangeSizes,
+			elSizes: measurement.elSizes,
+			measurement,
+			timelineRangeData,
+			animations,
+			pin,
+			originalStyles
+		};
+	}
 
 
 	/**
-	 * Triggers CSS classes on elements based on scroll position.
+	 * Validates a reduced motion policy and falls back to the `reducedMotion` option otherwise.
 	 *
-	 * This function iterates through all defined triggers and applies/removes their classes based on scroll position.
+	 * @param {string|null} mode - The policy of an element (`'disable'`, `'snap-to-end'`, `'opacity-only'` or `'none'`).
+	 * 
+	 * @returns {string} - The valid reduced motion policy.
+	 */
+	getReducedMotionMode = (mode) => {
+		if (Scrollage.REDUCED_MOTION_MODES.includes(mode)) return mode;
+		if (mode) console.warn(`ScrollageJS: Invalid reduced motion policy "${mode}".`);
+
+		return Scrollage.REDUCED_MOTION_MODES.includes(this.options.reducedMotion) 
+			? this.options.reducedMotion 
+			: Scrollage.DEFAULT_OPTIONS.reducedMotion;
+	}
+
+
+	/**
+	 * Reports issues of configs and attributes (see `validation.js`) as warnings, or throws if `strict` is enabled.
 	 *
+	 * @param {string[]} issues - The issues found, e.g. `'Unknown key "stratY"'`.
+	 * @param {string} context - Where the issues were found, e.g. `'data-animation-move of div#hero'`.
+	 * 
+	 * @throws {Error} Throws on the first issue, if `strict` is enabled.
+	 * 
 	 * @returns {void}
 	 */
-	triggerClasses = () => {
-		const scrollPos = this.getScrollPos();
+	reportIssues = (issues, context) => {
+		for (const issue of issues) {
+			const message = `ScrollageJS: ${issue} in ${context}.`;
 
-		for (const trigger of this.triggers) {
-			scrollPos > trigger.position 
-				? trigger.targetEl.classList.add(trigger.class) 
-				: trigger.targetEl.classList.remove(trigger.class);
+			if (this.options.strict) throw new Error(message);
+			console.warn(message);
 		}
 	}
 
 
 	/**
-	 * Retrieves the current scroll position.
+	 * Validates the JavaScript config and the data attributes of an element (see `getElementIssues()`).
 	 *
-	 * This function returns the current scroll position of the source element, 
-	 * based on the scroll direction (vertical or horizontal).
+	 * Runs before the element is cached, so that `strict` mode throws before any element, style or listener is changed.
 	 *
-	 * @returns {number} - The current scroll position in pixels.
+	 * @param {HTMLElement} el - The element to validate.
+	 * @param {Object} [config] - The JavaScript config of the element (defaults to its current config).
+	 * 
+	 * @throws {Error} Throws on the first issue, if `strict` is enabled.
+	 * 
+	 * @returns {void}
 	 */
-	getScrollPos = () => {
-		return this.isVertical ? this.source.scrollTop : this.source.scrollLeft;
-	};
+	validateElem = (el, config = this.configs.get(el) || {}) => {
+		const isGrouped = Boolean(this.getBlockGroup(el, config));
+
+		for (const { source, issues } of getElementIssues(el, config, isGrouped)) {
+			this.reportIssues(issues, `${source} of ${describeElement(el)}`);
+		}
+	}
+
+
+	/**
+	 * Validates trigger configs (see `getTriggerIssues()`). Each trigger config is only reported once.
+	 *
+	 * @param {Array<Object>} triggers - The trigger configs to validate.
+	 * 
+	 * @throws {Error} Throws on the first issue, if `strict` is enabled.
+	 * 
+	 * @returns {void}
+	 */
+	validateTriggers = (triggers) => {
+		if (!Array.isArray(triggers)) return;
+
+		for (let i = 0; i < triggers.length; i++) {
+			const trigger = triggers[i];
+			if (trigger && typeof trigger === 'object' && this.reportedTriggers.has(trigger)) continue;
+
+			this.reportIssues(getTriggerIssues(trigger), `trigger ${trigger?.name ?? trigger?.class ?? i}`);
+			if (trigger && typeof trigger === 'object') this.reportedTriggers.add(trigger);
+		}
+	}
+
+
+	/**
+	 * Validates a `renderer` mode, falling back to JavaScript rendering.
+	 *
+	 * @param {string} renderer - The renderer mode to validate.
+	 * 
+	 * @returns {string} - A valid renderer mode.
+	 */
+	getRenderer = (renderer) => {
+		if (Scrollage.RENDERERS.includes(renderer)) return renderer;
+		if (renderer) console.warn(`ScrollageJS: Invalid renderer "${renderer}".`);
+
+		return Scrollage.DEFAULT_OPTIONS.renderer;
+	}
+
+
+	/**
+	 * Re-caches the blocks of the given elements, or appends new blocks for elements that are not cached yet.
+	 *
+	 * The original styles of re-cached elements are restored before they are cached, so that no styles of removed
+	 * animations remain and defaults (e.g. the start color) are read from the original styles, not the animated ones.
+	 * The animated styles are re-applied by the next render.
+	 *
+	 * @param {Array<HTMLElement>} elems - The elements to re-cache.
+	 * 
+	 * @returns {void}
+	 */
+	recacheBlocks = (elems) => {
+		const recachedBlocks = [];
+
+		this.wrapPins(elems);
+
+		// Restore original styles
+		for (const el of elems) {
+			const previousBlock = this.blocks[this.elems.indexOf(el)];
+			if (previousBlock) el.style.cssText = previousBlock.originalStyles || '';
+		}
+
+		for (const el of elems) {
+			const index = this.elems.indexOf(el);
+
+			if (index < 0) {
+				this.elems.push(el);
+				this.blocks.push( this.cacheBlock(el) );
+				continue;
+			}
+
+			this.blocks[index] = this.cacheBlock(el, this.blocks[index]);
+			recachedBlocks.push(this.blocks[index]);
+		}
+
+		// Re-apply the pin styles of re-cached elements
+		for (const block of recachedBlocks) {
+			if (block.pin) this.applyPinStyles(block);
+		}
+
+		this.updateGroupSegments();
+		if (this.applyPinSpacing()) this.measureBlocks();
+
+		this.syncNativeAnimations();
+		if (elems.length) this.updateDebugOverlay();
+	}
+
+
+	/**
+	 * Removes the block of a single element and restores the element's original styles.
+	 *
+	 * @param {HTMLElement} el - The element to uncache.
+	 * 
+	 * @returns {void}
+	 */
+	uncacheBlock = (el) => {
+		const index = this.elems.indexOf(el);
+		if (index < 0) return;
+
+		el.style.cssText = this.blocks[index]?.originalStyles || '';
+		this.elems.splice(index, 1);
+		this.blocks.splice(index, 1);
+
+		if (this.pinSpacers.has(el)) {
+			removePinSpacer(el, this.pinSpacers.get(el));
+			this.pinSpacers.delete(el);
+		}
+
+		this.updateGroupSegments();
+		this.syncNativeAnimations();
+		this.updateDebugOverlay();
+	}
+
+
+	/**
+	 * Determines the group of an element, either from its config (see `timeline()`) or from the closest
+	 * ancestor with a `data-scrollage-group` attribute.
+	 *
+	 * @param {HTMLElement} el - The element.
+	 * @param {Object} [config={}] - The JavaScript config of the element.
+	 * 
+	 * @returns {Object|null} - The group or `null` if the element is not part of a group.
+	 */
+	getBlockGroup = (el, config = {}) => {
+		if (config.group) return config.group;
+
+		const container = el.parentElement?.closest(`[${GROUP_ATTRIBUTE}]`);
+		if (!container) return null;
+
+		if (!this.groups.has(container)) this.groups.set(container, getGroupData(container));
+		return this.groups.get(container);
+	}
+
+
+	/**
+	 * Splits the shared scroll-timeline range of each group into staggered segments for its children.
+	 *
+	 * Children of `timeline()` groups are ordered as they were added, children of group containers in document order.
+	 *
+	 * @returns {void}
+	 */
+	updateGroupSegments = () => {
+		const groupedBlocks = new Map();
+
+		for (const block of this.blocks) {
+			if (!block.group) continue;
+
+			if (!groupedBlocks.has(block.group)) groupedBlocks.set(block.group, []);
+			groupedBlocks.get(block.group).push(block);
+		}
+
+		for (const [group, blocks] of groupedBlocks) {
+			blocks.sort(group.elems
+				? (a, b) => group.elems.indexOf(a.el) - group.elems.indexOf(b.el)
+				: (a, b) => a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+			);
+
+			const stagger = parseFloat(group.stagger);
+			const segments = getGroupSegments(blocks.map(block => block.overlap), Number.isFinite(stagger) ? stagger : 1);
+
+			blocks.forEach((block, i) => {
+				// Map the initial progress of newly cached blocks to their segment
+				if (!block.segment) block.progress = block.targetProgress = getSegmentProgress(block.progress, segments[i]);
+				block.segment = segments[i];
+			});
+		}
+	}
+
+
+	/**
+	 * Wraps elements that should be pinned into a spacer, and unwraps elements that are no longer pinned.
+	 *
+	 * @param {Array<HTMLElement>} elems - The elements to check.
+	 * 
+	 * @returns {void}
+	 */
+	wrapPins = (elems) => {
+		for (const el of elems) {
+			const isPinned = hasPin(el, this.configs.get(el));
+
+			if (isPinned && !this.pinSpacers.has(el)) {
+				this.pinSpacers.set(el, createPinSpacer(el));
+			} else if (!isPinned && this.pinSpacers.has(el)) {
+				removePinSpacer(el, this.pinSpacers.get(el));
+				this.pinSpacers.delete(el);
+			}
+		}
+	}
+
+
+	/**
+	 * Applies the current pin state of a block to its element and spacer.
+	 *
+	 * @param {Object} block - The cached block.
+	 * 
+	 * @returns {void}
+	 */
+	applyPinStyles = (block) => {
+		applyPin({
+			...block.pin,
+			elBox: block.measurement.pinBox,
+			spacerSize: block.measurement.spacerSize
+		}, this.isVertical);
+	}
+
+
+	/**
+	 * Updates the pin distances (the size of the scroll-timeline ranges) reserved by the spacers of pinned blocks.
+	 *
+	 * @returns {boolean} - `true` if any pin distance changed, so that the layout needs to be measured again.
+	 */
+	applyPinSpacing = () => {
+		let hasChanged = false;
+
+		for (const block of this.blocks) {
+			if (!block.pin) continue;
+
+			const { start, end } = block.timelineRangeData;
+			const spacing = Number.isFinite(end - start) ? Math.max(0, end - start) : 0;
+			if (spacing === block.pin.spacing) continue;
+
+			block.pin.spacing = spacing;
+			this.applyPinStyles(block);
+			hasChanged = true;
+		}
+
+		return hasChanged;
+	}
+
+
+	/**
+	 * Pins, moves or releases the elements of pinned blocks based on the scroll position.
+	 *
+	 * While the scroll position is within the scroll-timeline range of a block, its element is fixed at 
+	 * the viewport position it had at the start of the range. Only changed pin states are written.
+	 *
+	 * @returns {void}
+	 */
+	pinBlocks = () => {
+		for (const block of this.blocks) {
+			const pin = block.pin;
+			if (!pin || !this.isBlockActive(block)) continue;
+
+			const state = getPinState(this.scrollPos, block.timelineRangeData);
+			const position = state === 'pinned' ? this.getPinPosition(block) : null;
+
+			if (state === pin.state && position?.top === pin.position?.top && position?.left === pin.position?.left) continue;
+
+			pin.state = state;
+			pin.position = position;
+			this.applyPinStyles(block);
+		}
+	}
+
+
+	/**
+	 * Calculates the fixed viewport position of a pinned element.
+	 *
+	 * @param {Object} block - The cached block.
+	 * 
+	 * @returns {Object} - The viewport position as `{ top, left }` in pixels.
+	 */
+	getPinPosition = (block) => {
+		const { pinPos } = block.measurement;
+
+		// Along the scroll direction, the element stays where it was at the start of the range
+		const scrollPos = { x: this.sourceScrollPos.left, y: this.sourceScrollPos.top };
+		scrollPos[this.isVertical ? 'y' : 'x'] = block.timelineRangeData.start;
+
+		return {
+			top: this.pinOrigin.y + pinPos.y - scrollPos.y,
+			left: this.pinOrigin.x + pinPos.x - scrollPos.x
+		};
+	}
+
+
+	/**
+	 * Sets up and caches custom triggers in order to toggle css classes on specific scroll positions.
+	 *
+	 * This function iterates over the configured triggers, validates their properties, 
+	 * calculates their start and end positions relative to the viewport, and stores them for later use.
+	 * Triggers in `once` mode that have already fired keep their class.
+	 *
+	 * @returns {void}
+	 */
+	cacheTriggers = () => {
+		this.triggers = [];
+
+		if (!this.options.triggers || !Array.isArray(this.options.triggers)) return;
+
+		for (let i = 0; i < this.options.triggers.length; i++) {
+			const trigger = this.options.triggers[i];
+
+			if (!trigger) continue;
+
+			// Skip trigger if no valid class was specified
+			if (!trigger.class || typeof trigger.class !== 'string') continue;
+
+			// Validate range element and skip trigger if it does not exist
+			const rangeEl = trigger.range ? this.validateEl(trigger.range, 'trigger range') : null;
+			if (trigger.range && !rangeEl) continue;
+
+			// Validate target element and skip trigger if it does not exist
+			const targetEl = ('_self' === trigger.target)
+				? rangeEl
+				: trigger.target ? this.validateEl(trigger.target, 'trigger target') : null;
+			if (trigger.target && !targetEl) continue;
+
+			const cachedTrigger = {
+				...this.getTriggerRange(trigger, rangeEl),
+				class: trigger.class,
+				rangeEl,
+				targetEl: targetEl || this.source,
+				mode: trigger.mode === 'once' ? 'once' : 'toggle',
+				isActive: false,
+				config: trigger
+			};
+
+			// Restore triggers that already fired once
+			if (cachedTrigger.mode === 'once' && this.firedTriggers.has(trigger)) {
+				cachedTrigger.isActive = true;
+				cachedTrigger.targetEl.classList.add(cachedTrigger.class);
+			}
+
+			this.triggers.push(cachedTrigger);
+		}
+	};
+
+
+	/**
+	 * Calculates the absolute start and end scroll positions of a trigger.
+	 *
+	 * @param {Object} trigger - The trigger config.
+	 * @param {HTMLElement|null} [rangeEl=null] - The range element the positions refer to. Defaults to `source`.
+	 * 
+	 * @returns {Object} - The positions as `{ start, end }` in pixels.
+	 */
+	getTriggerRange = (trigger, rangeEl = null) => {
+		// `position` is the legacy notation of `start`
+		const start = this.getTriggerPosition(trigger.start ?? trigger.position, rangeEl);
+		const end = (trigger.end != null) ? this.getTriggerPosition(trigger.end, rangeEl) : Infinity;
+
+		return { start, end: Math.max(start, end) };
+	}
+
+
+	/**
+	 * Calculates the absolute scroll position of a trigger position.
+	 *
+	 * @param {string|number} [value=0] - The position (number in percentage or string with `%`, `px`, `vh`, `vw`).
+	 * @param {HTMLElement|null} [rangeEl=null] - The range element the position refers to. Defaults to `source`.
+	 * 
+	 * @returns {number} - The absolute scroll position in pixels.
+	 */
+	getTriggerPosition = (value = 0, rangeEl = null) => {
+		const positionData = splitValueUnit(value) || { value: 0 };
+
+		// If no timeline range specified, determine position in `source`...
+		if (!rangeEl) {
+			const contextSourceSize = this.sourceSizes[this.isVertical ? 'y' : 'x'];
+
+			return calculateUnitValue(positionData.unit, positionData.value, this.winSizes, contextSourceSize);
+		}
+
+		// ...otherwise determine position in `timeline range`
+		const contextRangeSize = this.isVertical ? rangeEl.scrollHeight : rangeEl.scrollWidth;
+		const offset = this.getElementOffset(rangeEl);
+		const elPos = this.isVertical ? offset.top : offset.left;
+
+		return elPos + calculateUnitValue(positionData.unit, positionData.value, this.winSizes, contextRangeSize);
+	}
+
+
+	/**
+	 * Triggers CSS classes on elements based on scroll position.
+	 *
+	 * This function iterates through all defined triggers and applies their classes while the scroll position 
+	 * is between their start and end positions. Triggers in `once` mode keep their class once applied.
+	 * Whenever a trigger changes its state, it
+	 * - applies direction classes (e.g. `is-entering-down`, `is-leaving-up`), if enabled,
+	 * - calls the trigger's `onEnter` / `onLeave` callback and emits `trigger:on` / `trigger:off`.
+	 *
+	 * @returns {void}
+	 */
+	triggerClasses = () => {
+		const scrollPos = this.scrollPos;
+
+		for (const trigger of this.triggers) {
+			if (trigger.mode === 'once' && trigger.isActive) continue;
+
+			const isActive = scrollPos > trigger.start && scrollPos < trigger.end;
+
+			if (isActive === trigger.isActive) continue;
+			trigger.isActive = isActive;
+
+			trigger.targetEl.classList.toggle(trigger.class, isActive);
+
+			if (trigger.config.directionClasses && this.scrollDirection) {
+				trigger.targetEl.classList.remove(...Scrollage.TRIGGER_DIRECTION_CLASSES);
+				trigger.targetEl.classList.add(`is-${isActive ? 'entering' : 'leaving'}-${this.scrollDirection}`);
+			}
+
+			if (isActive && trigger.mode === 'once') this.firedTriggers.add(trigger.config);
+
+			const triggerData = {
+				el: trigger.targetEl,
+				class: trigger.class,
+				start: trigger.start,
+				end: trigger.end,
+				trigger: trigger.config
+			};
+
+			const callback = trigger.config[isActive ? 'onEnter' : 'onLeave'];
+			if (typeof callback === 'function') {
+				callback.call(this, { type: isActive ? 'enter' : 'leave', instance: this, direction: this.scrollDirection, ...triggerData });
+			}
+
+			this.emit(isActive ? 'trigger:on' : 'trigger:off', triggerData);
+		}
+	}
+
+
+	/**
+	 * Retrieves the current scroll position.
+	 *
+	 * This function returns the current scroll position of the source element, 
+	 * based on the scroll direction (vertical or horizontal).
+	 *
+	 * @returns {number} - The current scroll position in pixels.
+	 */
+	getScrollPos = () => {
+		const scrollPos = readScrollPos(this.source);
+		return this.isVertical ? scrollPos.top : scrollPos.left;
+	};
+
+
+	/**
+	 * Measures the sizes of the source, its visible frame and the window.
+	 *
+	 * @returns {boolean} - `true` if any of the sizes changed since the last measurement.
+	 */
+	measureSizes = () => {
+		const sizes = {
+			sourceSizes: { x: this.source.scrollWidth, y: this.source.scrollHeight },
+			wrapperSizes: { x: this.source.offsetWidth, y: this.source.offsetHeight },
+			winSizes: { x: window.innerWidth, y: window.innerHeight }
+		};
+
+		const hasChanged = Object.keys(sizes).some(key => !isEqualSizes(this[key], sizes[key]));
+		Object.assign(this, sizes);
+
+		return hasChanged;
+	}
+
+
+	/**
+	 * Calculates the untransformed position of an element relative to the scrollable content of the source.
+	 *
+	 * @param {HTMLElement} el - The element to measure.
+	 * 
+	 * @returns {Object} - The position as `{ top, left }` in pixels, independent of the current scroll position.
+	 */
+	getElementOffset = (el) => {
+		const offset = getUntransformedOffset(el);
+		if (this.isDocumentSource) return offset;
+
+		const sourceOffset = getUntransformedOffset(this.source);
+
+		return {
+			top: offset.top - sourceOffset.top - this.source.clientTop,
+			left: offset.left - sourceOffset.left - this.source.clientLeft
+		};
+	}
+
+
+	/**
+	 * Measures the untransformed position and size of a range element.
+	 *
+	 * @param {HTMLElement} rangeEl - The range element to measure.
+	 * 
+	 * @returns {Object} - The measurement as `{ rangePos, rangeBox }`, each with `x` and `y` values in pixels.
+	 */
+	measureRange = (rangeEl) => {
+		const offset = this.getElementOffset(rangeEl);
+
+		return {
+			rangePos: { x: offset.left, y: offset.top },
+			rangeBox: { x: rangeEl.offsetWidth, y: rangeEl.offsetHeight }
+		};
+	}
+
+
+	/**
+	 * Measures the untransformed position of a pinned element and the size of its spacer.
+	 *
+	 * @param {HTMLElement} el - The pinned element.
+	 * @param {Object} pin - The pin data of the block.
+	 * @param {Object|null} [previousMeasurement=null] - The previous measurement of the block.
+	 * 
+	 * @returns {Object} - The measurement as `{ spacerPos, spacerSize, pinDelta, pinPos, pinBox }`.
+	 */
+	measurePin = (el, pin, previousMeasurement = null) => {
+		const spacerOffset = this.getElementOffset(pin.spacer);
+		const spacerPos = { x: spacerOffset.left, y: spacerOffset.top };
+
+		let pinDelta = previousMeasurement?.pinDelta;
+		let pinBox = previousMeasurement?.pinBox;
+
+		// The element can only be measured in place, i.e. before it is pinned
+		if (!pinDelta || pin.state === 'before') {
+			const elOffset = this.getElementOffset(el);
+			pinDelta = { x: elOffset.left - spacerPos.x, y: elOffset.top - spacerPos.y };
+			pinBox = { x: el.offsetWidth, y: el.offsetHeight };
+		}
+
+		const axis = this.isVertical ? 'y' : 'x';
+		const spacerSize = { x: pin.spacer.clientWidth, y: pin.spacer.clientHeight };
+		spacerSize[axis] = Math.max(0, spacerSize[axis] - pin.spacing);
+
+		return {
+			spacerPos,
+			spacerSize,
+			pinDelta,
+			pinPos: { x: spacerPos.x + pinDelta.x, y: spacerPos.y + pinDelta.y },
+			pinBox
+		};
+	}
+
+
+	/**
+	 * Determines the default start offset of pinned blocks without `data-timeline-offset`, which delays the start
+	 * of their range until the range element reaches the start of the viewport (or the source).
+	 *
+	 * @returns {string} - The start offset in pixels (the size of the viewport or the source along the scroll axis).
+	 */
+	getDefaultPinOffset = () => {
+		const frameSizes = this.isDocumentSource ? this.winSizes : this.wrapperSizes;
+		return `${frameSizes[this.isVertical ? 'y' : 'x']}px`;
+	}
+
+
+	/**
+	 * Measures all dimensions of a block that are needed to compute its scroll-timeline range and animations.
+	 *
+	 * Only reads untransformed geometry (offsets and client sizes), so that the measurement is neither 
+	 * skewed by the current animation styles nor requires resetting them.
+	 *
+	 * For pinned blocks, the spacer is measured as well. The pinned element itself is only measured before 
+	 * it is pinned, and the reserved pin distance is excluded from the size of ranges that contain it.
+	 *
+	 * @param {HTMLElement} el - The animated element.
+	 * @param {HTMLElement|null} rangeEl - The range element of the block.
+	 * @param {Object|null} [pin=null] - The pin data of the block.
+	 * @param {Object|null} [previousMeasurement=null] - The previous measurement of the block.
+	 * 
+	 * @returns {Object} - The measurement as `{ rangePos, rangeBox, rangeSizes, elSizes }` (and pin measurements).
+	 */
+	measureBlock = (el, rangeEl, pin = null, previousMeasurement = null) => {
+		const pinMeasurement = pin 
+			? this.measurePin(el, pin, previousMeasurement) 
+			: { spacerPos: null, spacerSize: null, pinDelta: null, pinPos: null, pinBox: null };
+
+		let range = rangeEl ? this.measureRange(rangeEl) : { rangePos: null, rangeBox: null };
+
+		if (pin && rangeEl === el) {
+			range = { rangePos: pinMeasurement.pinPos, rangeBox: pinMeasurement.pinBox };
+		} else if (pin && rangeEl?.contains(pin.spacer)) {
+			range.rangeBox = { ...range.rangeBox };
+			range.rangeBox[this.isVertical ? 'y' : 'x'] -= pin.spacing;
+		}
+
+		return {
+			...range,
+			...pinMeasurement,
+			rangeSizes: {
+				x: rangeEl?.clientWidth || this.source.scrollWidth,
+				y: rangeEl?.clientHeight || this.source.scrollHeight
+			},
+			elSizes: {
+				x: el.clientWidth,
+				y: el.clientHeight
+			}
+		};
+	}
 
 
 	/**
 	 * Calculates the scroll-timeline range (start, end, and offsets) for a given element or the source.
 	 *
-	 * - If no range element is provided, it calculates based on the source’s scrollable dimensions.
-	 * - Converts `px` and `%` range offsets into absolute values.
-	 * - Uses `getBoundingClientRect()` to determine the exact position of the range element.
-	 * - Outputs the computed start and end positions, including range offsets, in an object.
+	 * - If no range element is provided, it calculates based on the source’s scrollable dimensions.
+	 * - Converts `px` and `%` range offsets into absolute values.
+	 * - Uses the untransformed position of the range element (see `measureRange()`), unaffected by animations.
+	 * - Outputs the computed start and end positions, including range offsets, in an object.
+	 *
+	 * @param {HTMLElement|null} [rangeEl=null] - The element defining the scroll-timeline range. Defaults to `source`.
+	 * @param {string|number} [rangeStart=0] - The range start offset (e.g. `10`, `'10%'`, `'33vh'` or `'50px'`). Defaults to 0.
+	 * @param {string|number} [rangeEnd=0] - The range end offset (e.g. `10`, `'10%'`, `'33vh'` or `'50px'`). Defaults to 0.
+	 * @param {Object|null} [measurement=null] - A previous measurement of the range element, to avoid reading it again.
+	 * 
+	 * @returns {Object} An object containing:
+	 *   @property {number} start - The initial start position of the scroll-timeline range.
+	 *   @property {number} end - The initial end position of the scroll-timeline range.
+	 *   @property {number} startRange - The computed range start position of the scroll-timeline range.
+	 *   @property {number} endRange - The computed range end position of the scroll-timeline range.
+	 *   @property {number} size - The total size of the scroll-timeline range (end - start).
+	 */
+	getTimelineRange = (rangeEl = null, rangeStart = 0, rangeEnd = 0, measurement = null) => {
+		const contextWinSize = this.winSizes[this.isVertical ? 'y' : 'x'];
+		const contextWrapperSize = this.wrapperSizes[this.isVertical ? 'y' : 'x'];
+
+		const rangeStartData = splitValueUnit(rangeStart);
+		const rangeEndData = splitValueUnit(rangeEnd);
+		const rangeStartValue = rangeStartData?.value || 0;
+		const rangeStartUnit = rangeStartData?.unit || '%';
+		const rangeEndValue = rangeEndData?.value || 0;
+		const rangeEndUnit = rangeEndData?.unit || '%';
+
+		let timelineRangeStart = 0;
+		let timelineRangeEnd = 0;
+		let rangeOffsetStart = 0;
+		let rangeOffsetEnd = 0;
+
+		let contextSourceSize = this.sourceSizes[this.isVertical ? 'y' : 'x'];
+
+		let contextRangeSize;
+		let contextRangeStart;
+		let contextRangeEnd;
+
+		const scrollFrameSize = this.isDocumentSource ? contextWinSize : contextWrapperSize;
+
+		// If no range specified, determine `source` range...
+		if (!rangeEl || rangeEl == this.source) {
+			rangeOffsetStart = calculateUnitValue(rangeStartUnit, rangeStartValue, this.winSizes, contextSourceSize);
+			rangeOffsetEnd = calculateUnitValue(rangeEndUnit, rangeEndValue, this.winSizes, contextSourceSize);
+
+			timelineRangeStart = Math.max( 
+				0, 
+				rangeOffsetStart - (this.isDocumentSource ? 0 : scrollFrameSize)
+			);
+
+			timelineRangeEnd = Math.max(
+				timelineRangeStart,
+				Math.min( contextSourceSize + rangeOffsetEnd - (this.isDocumentSource ? contextWinSize : 0), contextSourceSize - scrollFrameSize )
+			);
+
+		// ...otherwise determine provided timeline range
+		} else {
+			const { rangePos, rangeBox } = measurement?.rangePos ? measurement : this.measureRange(rangeEl);
+
+			contextRangeSize = rangeBox[this.isVertical ? 'y' : 'x'];
+			contextRangeStart = rangePos[this.isVertical ? 'y' : 'x'];
+			contextRangeEnd = contextRangeStart + contextRangeSize;
+
+			rangeOffsetStart = calculateUnitValue(rangeStartUnit, rangeStartValue, this.winSizes, contextRangeSize);
+			rangeOffsetEnd = calculateUnitValue(rangeEndUnit, rangeEndValue, this.winSizes, contextRangeSize);
+
+			timelineRangeStart =  Math.max(
+				0, 
+				contextRangeStart + rangeOffsetStart - scrollFrameSize
+			);
+
+			timelineRangeEnd = Math.max(
+				timelineRangeStart,
+				Math.min( contextRangeEnd + rangeOffsetEnd, contextSourceSize - scrollFrameSize )
+			);
+		}
+
+		// Debugging
+		if (Scrollage.DEBUG_MODE) {
+			console.log(`contextRangeStart: ${contextRangeStart}  ||  contextRangeEnd: ${contextRangeEnd}`);
+			console.log(`rangeOffsetStart: ${rangeOffsetStart}  ||  rangeOffsetEnd: ${rangeOffsetEnd}`);
+			console.log(`timelineRangeStart*: ${timelineRangeStart}  ||  timelineRangeEnd*: ${timelineRangeEnd}`);
+			console.log(`cntxtWinSize: ${contextWinSize}  ||  cntxtWrapperSize: ${contextWrapperSize}`);
+			console.log(`cntxtSourceSize: ${contextSourceSize}  ||  cntxtRangeSize: ${contextRangeSize}`);
+		}
+
+		return {
+			start: timelineRangeStart,
+			end: timelineRangeEnd
+		}
+	}
+
+
+	/**
+	 * Calculates the scroll progression as a percentage (0 to 1) within a specified scroll-timeline range.
+	 *
+	 * - Determines how far the user has scrolled relative to a given range.
+	 * - Can use a custom range element or default to the main source.
+	 * - Clamps the result between 0 (not scrolled) and 1 (fully scrolled).
+	 *
+	 * @param {HTMLElement|string|null} [range=null] - The target element or selector defining the scroll-timeline range. Defaults to the source.
+	 * @param {Object|null} [timelineRangeData=null] - Precomputed scroll-timeline range data to avoid redundant calculations.
+	 * 
+	 * @returns {number} - The normalized scroll progression (0 to 1).
+	 */
+	getScrollProgress = (range = null, timelineRangeData = null) => {
+		const scrollPos = this.getScrollPos();
+		const rangeEl = range ? this.validateEl(range, 'range') : this.source;
+		if (!timelineRangeData) timelineRangeData = this.getTimelineRange(rangeEl);
+			
+		// Determine start and end scroll positions
+		const scrollStart = timelineRangeData.start - scrollPos;
+		const scrollEnd = timelineRangeData.end - scrollPos;
+		
+		// Empty ranges are either not yet reached or completed
+		if (scrollEnd === scrollStart) return scrollStart > 0 ? 0 : 1;
+
+		// Calculate scroll progression percentage
+		let scrollPercentage = scrollStart / (scrollEnd - scrollStart) * -100;
+		
+		// Clamp value between 0 and 100
+		scrollPercentage = Math.min(100, Math.max(0, scrollPercentage));
+		
+		// Debugging
+		if (Scrollage.DEBUG_MODE) {
+			console.log(`scrollPos: ${scrollPos}  ||  scrollPercentage: ${scrollPercentage}`);
+			console.log(`scrollStartPos: ${scrollStart}  ||  scrollEndPos: ${scrollEnd}`);
+		}
+
+		return scrollPercentage / 100;
+	}
+
+
+	/**
+	 * Updates the scroll progress for each cached block and triggers classes.
+	 *
+	 * - Tracks the scroll direction and velocity based on the previous scroll position.
+	 * - Emits `enter` / `leave` when the scroll position moves into or out of the timeline range of a block.
+	 * - Applies the progress of unsmoothed blocks immediately, smoothed blocks follow in `render()`.
+	 * - Schedules a render of the animations and trigger classes.
+	 * 
+	 * @returns {void} - This function does not return a value.
+	 */
+	update = () => {
+		const scrollPos = this.getScrollPos();
+		const previousScrollPos = this.scrollPos;
+
+		if (scrollPos !== this.scrollPos) {
+			const isForward = scrollPos > this.scrollPos;
+			this.scrollDirection = this.isVertical
+				? (isForward ? 'down' : 'up')
+				: (isForward ? 'right' : 'left');
+		}
+		this.updateVelocity(scrollPos);
+		this.scrollPos = scrollPos;
+
+		// Read the viewport position of the source for pinned elements
+		if (this.pinSpacers.size) {
+			const sourceRect = this.isDocumentSource ? null : this.source.getBoundingClientRect();
+
+			this.pinOrigin = {
+				x: sourceRect ? sourceRect.left + this.source.clientLeft : 0,
+				y: sourceRect ? sourceRect.top + this.source.clientTop : 0
+			};
+			this.sourceScrollPos = readScrollPos(this.source);
+		}
+
+		for (let i = 0; i < this.blocks.length; i++) {
+			const block = this.blocks[i];
+
+			// Keep culled blocks active within their timeline range and render their end state once they leave it
+			const isInTimeline = scrollPos >= block.timelineRangeData.start && scrollPos <= block.timelineRangeData.end;
+			if (block.isInTimeline && !isInTimeline) block.needsFinalRender = true;
+			block.isInTimeline = isInTimeline;
+
+			this.updateBlockRangeState(block, scrollPos, previousScrollPos);
+
+			// Skip culled blocks
+			if (!this.isBlockActive(block)) continue;
+
+			block.targetProgress = this.getScrollProgress(
+				block.rangeEl,
+				block.timelineRangeData
+			);
+
+			// Children of groups only progress within their segment of the group
+			if (block.segment) block.targetProgress = getSegmentProgress(block.targetProgress, block.segment);
+
+			if (!block.smooth) this.setBlockProgress(block, block.targetProgress);
+		}
+
+		this.emit('update', { scrollPos, velocity: this.velocity });
+
+		this.requestRender();
+	}
+
+
+	/**
+	 * Updates the smoothed scroll velocity based on the distance scrolled since the previous update.
+	 *
+	 * - The first update after a pause (or after initialization) is treated as a consecutive frame.
+	 * - Once scrolling has stopped, the velocity relaxes back to `0` in `render()`.
+	 *
+	 * @param {number} scrollPos - The current scroll position.
+	 * @param {number} [time] - The current timestamp.
+	 *
+	 * @returns {void}
+	 */
+	updateVelocity = (scrollPos, time = performance.now()) => {
+		if (this.lastScrollTime !== null) {
+			const elapsed = time - this.lastScrollTime;
+			const duration = elapsed > 0 && elapsed <= 100 ? elapsed : 1000 / 60;
+			const velocity = (scrollPos - this.scrollPos) / duration * 1000;
+
+			this.velocity += (velocity - this.velocity) * Scrollage.VELOCITY_SMOOTHING;
+		}
+		this.lastScrollTime = time;
+	}
+
+
+	/**
+	 * Retrieves the current (smoothed) scroll velocity.
+	 *
+	 * @returns {number} - The velocity in pixels per second, positive when scrolling down (or right), negative when scrolling up (or left).
+	 */
+	getVelocity = () => {
+		return this.velocity;
+	}
+
+
+	/**
+	 * Retrieves the last scroll direction.
+	 *
+	 * @returns {string|null} - `'down'`/`'up'` or `'right'`/`'left'`, `null` before the first scroll.
+	 */
+	getDirection = () => {
+		return this.scrollDirection;
+	}
+
+
+	/**
+	 * Handles scroll and touchmove events by scheduling an update in the shared frame scheduler.
+	 *
+	 * @returns {void}
+	 */
+	handleScroll = () => {
+		scheduleUpdate(this);
+
+		// Snap once scrolling has ended (except for programmatic scrolling)
+		if (!this.scrollAnimation) this.scheduleSnap();
+	}
+
+
+	/**
+	 * Handles scroll events of the page for custom sources, since the viewport position of the source
+	 * (see `pinOrigin`) changes when the page scrolls. Only schedules an update if elements are pinned.
+	 *
+	 * @returns {void}
+	 */
+	handleWindowScroll = () => {
+		if (this.pinSpacers.size) scheduleUpdate(this);
+	}
+
+
+	/**
+	 * Handles user interactions, which take precedence over programmatic scrolling (e.g. snapping).
+	 *
+	 * Also tracks touches, since snapping is postponed while the user is touching the screen.
+	 *
+	 * @param {Event} event - The interaction event.
+	 * 
+	 * @returns {void}
+	 */
+	handleInteraction = (event) => {
+		if (event.type === 'touchend' || event.type === 'touchcancel') {
+			this.isTouching = false;
+			this.scheduleSnap();
+			return;
+		}
+
+		if (event.type === 'touchstart') this.isTouching = true;
+		this.cancelScroll();
+	}
+
+
+	/**
+	 * Schedules snapping to the closest snap point after the `delay` of the `snap` option (if enabled).
+	 *
+	 * @returns {void}
+	 */
+	scheduleSnap = () => {
+		if (!this.snapOptions) return;
+
+		clearTimeout(this.snapTimer);
+		this.snapTimer = setTimeout(this.snap, this.snapOptions.delay);
+	}
+
+
+	/**
+	 * Smoothly scrolls the source to the snap point closest to the current scroll position.
+	 *
+	 * Points in the last scroll direction are favored by the `directionBias` of the `snap` option.
+	 *
+	 * @returns {void}
+	 */
+	snap = () => {
+		this.snapTimer = null;
+		if (!this.isActive || !this.snapOptions || this.isTouching || this.scrollAnimation) return;
+
+		const { duration, easing, directionBias } = this.snapOptions;
+		const scrollPos = this.getScrollPos();
+		const direction = ['down', 'right'].includes(this.scrollDirection) ? 1 : this.scrollDirection ? -1 : 0;
+
+		const target = getSnapTarget(this.getSnapPoints(), scrollPos, direction, directionBias);
+		if (target === null || Math.abs(target - scrollPos) < 1) return;
+
+		this.scrollToPosition(target, { duration, easing });
+	}
+
+
+	/**
+	 * Collects the snap points (scroll positions) defined by the `points` of the `snap` option:
+	 * - `'blocks'`: The start and end of the scroll-timeline range of each block.
+	 * - `'triggers'`: The start and end positions of each trigger.
+	 * - Numbers: Progress values (0 to 1) within the scroll-timeline range of each block.
+	 *
+	 * @returns {number[]} - The snap points within the scrollable range, in pixels.
+	 */
+	getSnapPoints = () => {
+		const points = [].concat(this.snapOptions.points);
+		const progressValues = points.filter(point => typeof point === 'number');
+		if (points.includes('blocks')) progressValues.push(0, 1);
+
+		const positions = [];
+
+		for (const block of this.blocks) {
+			const { start, end } = block.timelineRangeData;
+			for (const progress of progressValues) positions.push(start + (end - start) * progress);
+		}
+
+		if (points.includes('triggers')) {
+			for (const trigger of this.triggers) positions.push(trigger.start, trigger.end);
+		}
+
+		const maxScrollPos = this.getMaxScrollPos();
+		return positions.filter(position => Number.isFinite(position) && position >= 0 && position <= maxScrollPos);
+	}
+
+
+	/**
+	 * Calculates the maximum scroll position of the source.
+	 *
+	 * @returns {number} - The maximum scroll position in pixels.
+	 */
+	getMaxScrollPos = () => {
+		const axis = this.isVertical ? 'y' : 'x';
+		const scrollFrameSize = this.isDocumentSource ? this.winSizes[axis] : this.wrapperSizes[axis];
+
+		return Math.max(0, this.sourceSizes[axis] - scrollFrameSize);
+	}
+
+
+	/**
+	 * Smoothly scrolls the source to a scroll position, cancelling any previous programmatic scrolling.
+	 *
+	 * Scrolls without animation while reduced motion is preferred.
+	 *
+	 * @param {number} position - The target scroll position in pixels (clamped to the scrollable range).
+	 * @param {Object} [options={}] - The `duration` (in milliseconds) and `easing` of the scroll animation.
+	 * 
+	 * @returns {Promise<boolean>} - Resolves with `true` once the position is reached, or `false` if cancelled.
+	 */
+	scrollToPosition = (position, { duration, easing } = {}) => {
+		this.cancelScroll();
+
+		const target = Math.max(0, Math.min(position, this.getMaxScrollPos()));
+		const animation = animateScroll(this.source, this.isVertical, target, {
+			duration: this.reducedMotion ? 0 : duration,
+			easing
+		});
+
+		this.scrollAnimation = animation;
+		animation.promise.then(() => {
+			if (this.scrollAnimation === animation) this.scrollAnimation = null;
+		});
+
+		return animation.promise;
+	}
+
+
+	/**
+	 * Cancels the current programmatic scrolling (if any).
+	 *
+	 * @returns {void}
+	 */
+	cancelScroll = () => {
+		this.scrollAnimation?.cancel();
+		this.scrollAnimation = null;
+	}
+
+
+	/**
+	 * Sets the rendered progress of a block and emits `progress` if it has changed.
+	 *
+	 * @param {Object} block - The cached block.
+	 * @param {number} progress - The new progress (0 to 1).
+	 * 
+	 * @returns {void}
+	 */
+	setBlockProgress = (block, progress) => {
+		if (progress === block.progress) return;
+
+		block.progress = progress;
+
+		this.emit('progress', { el: block.el, progress });
+	}
+
+
+	/**
+	 * Tracks whether the scroll position is within the timeline range of a block and emits `enter` / `leave`.
+	 *
+	 * - Based on the raw scroll position (not the clamped or smoothed progress), so that blocks within
+	 *   their range at initialization emit `enter` on the initial update.
+	 * - A range that is crossed within a single update (e.g. by a jump to the end of the page) emits
+	 *   `enter` followed by `leave`.
+	 *
+	 * @param {Object} block - The cached block.
+	 * @param {number} scrollPos - The current scroll position.
+	 * @param {number} previousScrollPos - The scroll position of the previous update.
+	 * 
+	 * @returns {void}
+	 */
+	updateBlockRangeState = (block, scrollPos, previousScrollPos) => {
+		const { start, end } = this.getBlockRange(block);
+		const getSide = (pos) => pos < start ? -1 : pos >= end ? 1 : 0;
+
+		const side = getSide(scrollPos);
+		const isInside = side === 0;
+
+		if (isInside !== block.isInside) {
+			block.isInside = isInside;
+
+			this.emit(isInside ? 'enter' : 'leave', {
+				el: block.el,
+				progress: isInside ? (scrollPos - start) / (end - start) : (side > 0 ? 1 : 0)
+			});
+		} else if (!isInside && side * getSide(previousScrollPos) < 0) {
+			this.emit('enter', { el: block.el, progress: side > 0 ? 0 : 1 });
+			this.emit('leave', { el: block.el, progress: side > 0 ? 1 : 0 });
+		}
+	}
+
+
+	/**
+	 * Schedules `render()` in the shared frame scheduler (at most once per frame).
+	 *
+	 * @returns {void}
+	 */
+	requestRender = () => {
+		scheduleRender(this);
+	}
+
+
+	/**
+	 * Renders a frame: eases the progress of smoothed blocks towards their target progress,
+	 * applies the animations and toggles the trigger classes.
+	 *
+	 * - Runs in the write phase of the shared frame scheduler, after the progress of all instances was computed.
+	 * - The smoothing factor is the share of the remaining distance covered per frame (at 60 fps).
+	 * - Relaxes the scroll velocity back to `0` once scrolling has stopped.
+	 * - Keeps requesting frames until every smoothed block and the velocity have settled.
+	 *
+	 * @param {number} [time] - The frame timestamp provided by `requestAnimationFrame()`.
+	 * 
+	 * @returns {void}
+	 */
+	render = (time = performance.now()) => {
+		const frameFactor = this.lastFrameTime ? Math.min(4, (time - this.lastFrameTime) / (1000 / 60)) : 1;
+		let isSettled = true;
+
+		for (let i = 0; i < this.blocks.length; i++) {
+			const block = this.blocks[i];
+			if (!block.smooth || block.progress === block.targetProgress) continue;
+
+			// Jump to invalid (e.g. empty range) or from invalid progress values directly
+			if (!Number.isFinite(block.progress) || !Number.isFinite(block.targetProgress)) {
+				this.setBlockProgress(block, block.targetProgress);
+				continue;
+			}
+
+			const distance = block.targetProgress - block.progress;
+			const factor = 1 - Math.pow(1 - block.smooth, frameFactor);
+
+			if (Math.abs(distance * (1 - factor)) < 0.0001) {
+				this.setBlockProgress(block, block.targetProgress);
+			} else {
+				this.setBlockProgress(block, block.progress + distance * factor);
+				isSettled = false;
+			}
+		}
+
+		// Relax the scroll velocity once no more scroll updates arrive
+		if (this.velocity && time - this.lastScrollTime > Scrollage.VELOCITY_IDLE_TIME) {
+			this.velocity *= Math.pow(1 - Scrollage.VELOCITY_RELAXATION, frameFactor);
+			if (Math.abs(this.velocity) < 1) this.velocity = 0;
+		}
+		if (this.velocity) isSettled = false;
+
+		this.pinBlocks();
+		this.animate();
+
+		this.triggerClasses();
+		this.directionClasses();
+
+		if (this.debugOverlay) updateDebugProgress(this.debugOverlay);
+
+		if (isSettled) {
+			this.lastFrameTime = null;
+		} else {
+			this.lastFrameTime = time;
+			this.requestRender();
+		}
+	}
+
+
+	/**
+	 * Applies animations to all blocks based on their progress within the scroll-timeline range.
+	 * [Formula: newValue = targetMin + (targetMax - targetMin) * (sourceValue - sourceMin) / (sourceMax - sourceMin)]
+	 *
+	 * While 'prefers-reduced-motion' is enabled, the reduced motion policy of each block applies:
+	 * - `disable`: No animations are applied (the original styles remain).
+	 * - `snap-to-end`: The final state of all animations is applied, regardless of the progress.
+	 * - `opacity-only`: Only `fade` animations are applied.
+	 * - `none`: All animations are applied as usual.
+	 *
+	 * Blocks that are animated natively (see `renderer`) are skipped, or only their progress is applied (`waapi`).
+	 *
+	 * @returns {void} - This function does not return a value.
+	 */
+	animate = () => {
+		for (let i = 0; i < this.blocks.length; i++) {
+			const block = this.blocks[i];
+
+			// Skip blocks without animations and culled blocks
+			if (!block.animations.length || !this.isBlockActive(block)) continue; 
+
+			// Clear the final render of inactive blocks once their progress has settled
+			if (block.needsFinalRender && block.progress === block.targetProgress) block.needsFinalRender = false;
+
+			// Scroll-driven animations progress by themselves, paused animations follow the block progress
+			const nativeAnimation = this.nativeAnimations.get(block.el)?.animation;
+			if (nativeAnimation) {
+				if (this.renderer === 'waapi' && Number.isFinite(block.progress)) setAnimationProgress(nativeAnimation, block.progress);
+				continue;
+			}
+
+			const el = this.elems[i];
+
+			if (!el) continue;
+
+			const reducedMotion = this.reducedMotion ? block.reducedMotion : 'none';
+			if (reducedMotion === 'disable') continue;
+
+			const styles = this.getBlockStyles(block, block.progress, reducedMotion);
+
+			for (const prop in styles) {
+				if (prop.startsWith('--')) {
+					el.style.setProperty(prop, styles[prop]);
+				} else {
+					el.style[prop] = styles[prop];
+				}
+			}
+		}
+	}
+
+
+	/**
+	 * Computes the animated styles of a block at a given progress.
+	 *
+	 * @param {Object} block - The cached block.
+	 * @param {number} blockProgress - The progress of the block (0 to 1).
+	 * @param {string} [reducedMotion='none'] - The reduced motion policy that currently applies to the block.
+	 *
+	 * @returns {Object} - The style values by (camelCase) property name, including custom properties (e.g. `--tilt`).
+	 */
+	getBlockStyles = (block, blockProgress, reducedMotion = 'none') => {
+		const breakpoints = this.activeBreakpoints;
+
+		if (reducedMotion === 'snap-to-end') blockProgress = 1;
+		const isOpacityOnly = reducedMotion === 'opacity-only';
+
+		let curAnimationData;
+		let transforms = [];
+		let filters = [];
+		let opacityValue = null;
+		const styleValues = {};
+		let customProps = {};
+
+		for (let j = 0; j < block.animations.length; j++) {
+			// Keep only fades in `opacity-only` mode
+			const animation = isOpacityOnly ? { fade: block.animations[j].fade } : block.animations[j];
+			const progress = this.getInputProgress(block.animations[j], blockProgress, reducedMotion);
+
+			if (animation.move) {
+				curAnimationData = getResponsiveData(animation.move, breakpoints);
+				transforms.push( move(curAnimationData, progress, block.rangeSizes, block.elSizes, this.winSizes) );
+			}
+			if (animation.rotate) {
+				curAnimationData = getResponsiveData(animation.rotate, breakpoints);
+				transforms.push( rotate(curAnimationData, progress) );
+			}
+			if (animation.skew) {
+				curAnimationData = getResponsiveData(animation.skew, breakpoints);
+				transforms.push( skew(curAnimationData, progress) );
+			}
+			if (animation.scale) {
+				curAnimationData = getResponsiveData(animation.scale, breakpoints);
+				transforms.push( scale(curAnimationData, progress) );
+			}
+			if (animation.saturate) {
+				curAnimationData = getResponsiveData(animation.saturate, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					filters.push( saturate(curAnimationData, progress) );
+				}
+			}
+			if (animation.blur) {
+				curAnimationData = getResponsiveData(animation.blur, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					filters.push( blur(curAnimationData, progress) );
+				}
+			}
+			if (animation.fade) {
+				curAnimationData = getResponsiveData(animation.fade, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					opacityValue = fade(curAnimationData, progress);
+				}
+			}
+			if (animation.color) {
+				curAnimationData = getResponsiveData(animation.color, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					styleValues.color = color(curAnimationData, progress);
+				}
+			}
+			if (animation.background) {
+				curAnimationData = getResponsiveData(animation.background, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					styleValues.backgroundColor = color(curAnimationData, progress);
+				}
+			}
+			if (animation.borderColor) {
+				curAnimationData = getResponsiveData(animation.borderColor, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					styleValues.borderColor = color(curAnimationData, progress);
+				}
+			}
+			if (animation.shadow) {
+				curAnimationData = getResponsiveData(animation.shadow, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					styleValues.boxShadow = shadow(curAnimationData, progress);
+				}
+			}
+			if (animation.textShadow) {
+				curAnimationData = getResponsiveData(animation.textShadow, breakpoints);
+				if (hasAnimationValues(curAnimationData)) {
+					styleValues.textShadow = shadow(curAnimationData, progress, true);
+				}
+			}
+			if (animation.vars) {
+				curAnimationData = getResponsiveData(animation.vars, breakpoints);
+				customProps = vars(curAnimationData, progress);
+			}
+		}
+
+		return {
+			...(transforms.length ? { transform: transforms.join(' ') } : {}),
+			...(filters.length ? { filter: filters.join(' ') } : {}),
+			...(opacityValue != null ? { opacity: opacityValue } : {}),
+			...styleValues,
+			...customProps
+		};
+	}
+
+
+	/**
+	 * (Re-)creates the native animations of all blocks that can be animated natively (see `renderer`).
+	 *
+	 * The animated styles of each block are sampled into keyframes, which either
+	 * - run between the scroll positions of its scroll-timeline range (`native`), or
+	 * - are paused and follow the block progress in `animate()` (`waapi`).
+	 * Since the keyframes depend on the block config, measurements, breakpoints and the reduced motion preference,
+	 * an animation is only re-created if one of them (or its range) has changed. All other blocks are animated in `animate()`.
+	 *
+	 * @returns {void}
+	 */
+	syncNativeAnimations = () => {
+		const previousAnimations = this.nativeAnimations;
+		let hasChanged = false;
+
+		this.nativeAnimations = new Map();
+
+		if (this.renderer !== 'js') {
+			for (const block of this.blocks) {
+				if (!this.isNativeBlock(block)) continue;
+
+				const range = this.renderer === 'native' ? this.getNativeRange(block) : null;
+				if (this.renderer === 'native' && !range) continue;
+
+				const reducedMotion = this.reducedMotion ? block.reducedMotion : 'none';
+				const key = JSON.stringify([range, block.rangeSizes, block.elSizes, this.winSizes, this.activeBreakpoints, reducedMotion]);
+				const previous = previousAnimations.get(block.el);
+
+				// Keep the animation of an unchanged block (re-cached blocks are new objects)
+				if (previous?.block === block && previous.key === key) {
+					this.nativeAnimations.set(block.el, previous);
+					previousAnimations.delete(block.el);
+					continue;
+				}
+
+				if (previous) {
+					previous.animation.cancel();
+					previousAnimations.delete(block.el);
+				}
+
+				const keyframes = sampleKeyframes(
+					progress => this.getBlockStyles(block, progress, reducedMotion),
+					Scrollage.NATIVE_KEYFRAME_SAMPLES
+				);
+				const animation = range
+					? createScrollAnimation(block.el, keyframes, { source: this.source, isVertical: this.isVertical, ...range })
+					: createProgressAnimation(block.el, keyframes);
+
+				this.nativeAnimations.set(block.el, { animation, block, key });
+				hasChanged = true;
+			}
+		}
+
+		// Cancel the animations of blocks that are no longer animated natively
+		for (const { animation } of previousAnimations.values()) {
+			animation.cancel();
+			hasChanged = true;
+		}
+
+		// Progress-driven animations need their initial progress, blocks that are no longer animated natively
+		// are rendered in JavaScript again
+		if (hasChanged) this.requestRender();
+	}
+
+
+	/**
+	 * Checks whether a block can be animated natively.
+	 *
+	 * Blocks are animated in JavaScript if they are driven by velocity, disabled by the reduced motion policy
+	 * or (for scroll-driven animations) smoothed.
+	 *
+	 * @param {Object} block - The cached block.
+	 * 
+	 * @returns {boolean} - `true` if the block can be animated natively.
+	 */
+	isNativeBlock = (block) => {
+		const reducedMotion = this.reducedMotion ? block.reducedMotion : 'none';
+
+		if (!block.animations.length || reducedMotion === 'disable') return false;
+		if (this.renderer === 'native' && block.smooth) return false;
+
+		return !block.animations.some(animation => Object.values(animation)[0]?.input === 'velocity');
+	}
+
+
+	/**
+	 * Determines the scroll-timeline range of a scroll-driven animation.
+	 *
+	 * @param {Object} block - The cached block.
+	 * 
+	 * @returns {Object|null} - The range as `{ start, end }` (scroll positions in pixels) or `null` if it is empty.
+	 */
+	getNativeRange = (block) => {
+		if (block.segment && block.segment.end <= block.segment.start) return null;
+
+		const { start, end } = this.getBlockRange(block);
+		return Number.isFinite(start) && Number.isFinite(end) && end > start ? { start, end } : null;
+	}
+
+
+	/**
+	 * Determines the scroll positions at which the progress of a block starts and ends.
+	 *
+	 * @param {Object} block - The cached block.
+	 * 
+	 * @returns {Object} - The range as `{ start, end }` (scroll positions in pixels).
+	 */
+	getBlockRange = (block) => {
+		const { start, end } = block.timelineRangeData;
+
+		// Children of groups only progress within their segment of the group
+		if (!block.segment) return { start, end };
+
+		return {
+			start: start + (end - start) * block.segment.start,
+			end: start + (end - start) * block.segment.end
+		};
+	}
+
+
+	/**
+	 * Renders the debug overlay (if `debug` is enabled), which shows
+	 * - the start and end of each block's timeline range (including offsets and group segments),
+	 * - a live progress label at each animated element and
+	 * - the start and end positions of each trigger.
+	 *
+	 * Range lines mark the content position that meets the end of the viewport (`start`) or its start (`end`)
+	 * at the corresponding scroll position, trigger lines the content position that meets the start of the viewport.
+	 *
+	 * @returns {void}
+	 */
+	updateDebugOverlay = () => {
+		if (!this.options.debug) return;
+		if (!this.debugOverlay) this.debugOverlay = createDebugOverlay(this.source, this.isVertical);
+
+		const axis = this.isVertical ? 'top' : 'left';
+		const frameSize = (this.isDocumentSource ? this.winSizes : this.wrapperSizes)[this.isVertical ? 'y' : 'x'];
+		const origin = this.getElementOffset(this.debugOverlay.el);
+		const markers = [];
+
+		for (const block of this.blocks) {
+			const { start, end } = this.getBlockRange(block);
+			const name = describeElement(block.el);
+			const elOffset = this.getElementOffset(block.pin ? block.pin.spacer : block.el);
+
+			markers.push(
+				{ type: 'start', label: `${name} start`, position: start + frameSize - origin[axis] },
+				{ type: 'end', label: `${name} end`, position: end - origin[axis] },
+				{ type: 'progress', label: name, top: elOffset.top - origin.top, left: elOffset.left - origin.left, block }
+			);
+		}
+
+		for (const trigger of this.triggers) {
+			const name = trigger.config.name ?? trigger.class;
+
+			markers.push({ type: 'trigger', label: `${name} start`, position: trigger.start - origin[axis] });
+			if (Number.isFinite(trigger.end)) {
+				markers.push({ type: 'trigger', label: `${name} end`, position: trigger.end - origin[axis] });
+			}
+		}
+
+		setDebugMarkers(this.debugOverlay, markers, this.isVertical);
+		updateDebugProgress(this.debugOverlay);
+	}
+
+
+	/**
+	 * Determines the progress that drives an animation, based on its `input`:
+	 * - `'progress'` (default): The scroll progress of the block.
+	 * - `'velocity'`: The scroll speed relative to the `maxVelocity` of the animation, so that the animation
+	 *   is at its start values at rest and reaches its end values at `maxVelocity` (or faster).
+	 *
+	 * Velocity-driven animations stay at rest while a reduced motion policy (other than `none`) applies.
+	 *
+	 * @param {Object} animation - The animation object (e.g. `{ skew: {...} }`).
+	 * @param {number} progress - The scroll progress of the block.
+	 * @param {string} [reducedMotion='none'] - The reduced motion policy that currently applies to the block.
+	 *
+	 * @returns {number} - The progress of the animation (0 to 1).
+	 */
+	getInputProgress = (animation, progress, reducedMotion = 'none') => {
+		const animationData = Object.values(animation)[0];
+		if (animationData?.input !== 'velocity') return progress;
+		if (reducedMotion !== 'none') return 0;
+
+		const maxVelocity = animationData.maxVelocity || Scrollage.DEFAULT_MAX_VELOCITY;
+		return Math.min(1, Math.abs(this.velocity) / maxVelocity);
+	}
+
+
+	/**
+	 * Toggles the scroll direction class (e.g. `is-scrolling-down`) on the source, if `directionClasses` is enabled.
+	 *
+	 * @returns {void}
+	 */
+	directionClasses = () => {
+		if (!this.options.directionClasses || !this.scrollDirection) return;
+
+		const directionClass = `is-scrolling-${this.scrollDirection}`;
+		if (directionClass === this.directionClass) return;
+
+		this.source.classList.remove(...Scrollage.SCROLL_DIRECTION_CLASSES);
+		this.source.classList.add(directionClass);
+		this.directionClass = directionClass;
+	}
+
+
+	/**
+	 * Re-measures the instance without re-initializing it, e.g. after the layout has changed.
+	 *
+	 * - Reads all measurements first and only then updates (and renders) the blocks, without resetting their styles.
+	 * - Only blocks whose measurements actually changed are recomputed.
+	 * - If the sizes of the source and window are unchanged, only the blocks of the given elements are measured.
 	 *
-	 * @param {HTMLElement|null} [rangeEl=null] - The element defining the scroll-timeline range. Defaults to `source`.
-	 * @param {string|number} [rangeStart=0] - The range start offset (e.g. `10`, `'10%'`, `'33vh'` or `'50px'`). Defaults to 0.
-	 * @param {string|number} [rangeEnd=0] - The range end offset (e.g. `10`, `'10%'`, `'33vh'` or `'50px'`). Defaults to 0.
+	 * Called automatically when the window, the source or any animated or range element is resized.
+	 *
+	 * @param {Set<HTMLElement>|Array<HTMLElement>|null} [elems=null] - The resized (animated or range) elements. Defaults to all.
 	 * 
-	 * @returns {Object} An object containing:
-	 *   @property {number} start - The initial start position of the scroll-timeline range.
-	 *   @property {number} end - The initial end position of the scroll-timeline range.
-	 *   @property {number} startRange - The computed range start position of the scroll-timeline range.
-	 *   @property {number} endRange - The computed range end position of the scroll-timeline range.
-	 *   @property {number} size - The total size of the scroll-timeline range (end - start).
+	 * @returns {Scrollage} - The instance, to allow chaining.
 	 */
-	getTimelineRange = (rangeEl = null, rangeStart = 0, rangeEnd = 0) => {
-		const contextWinSize = this.winSizes[this.isVertical ? 'y' : 'x'];
-		const contextWrapperSize = this.wrapperSizes[this.isVertical ? 'y' : 'x'];
+	refresh = (elems = null) => {
+		if (!this.isActive) return this;
+		if (Array.isArray(elems)) elems = new Set(elems);
 
-		const rangeStartData = splitValueUnit(rangeStart);
-		const rangeEndData = splitValueUnit(rangeEnd);
-		const rangeStartValue = rangeStartData?.value || 0;
-		const rangeStartUnit = rangeStartData?.unit || '%';
-		const rangeEndValue = rangeEndData?.value || 0;
-		const rangeEndUnit = rangeEndData?.unit || '%';
+		let hasChanged = this.measureBlocks(elems);
 
-		let timelineRangeStart = 0;
-		let timelineRangeEnd = 0;
-		let rangeOffsetStart = 0;
-		let rangeOffsetEnd = 0;
+		// Changed pin distances move the subsequent content, which needs to be measured once more
+		if (this.applyPinSpacing()) hasChanged = this.measureBlocks() || hasChanged;
 
-		let contextSourceSize = this.sourceSizes[this.isVertical ? 'y' : 'x'];
+		if (hasChanged) {
+			for (const trigger of this.triggers) {
+				Object.assign(trigger, this.getTriggerRange(trigger.config, trigger.rangeEl));
+			}
 
-		let contextRangeSize;
-		let contextRangeStart;
-		let contextRangeEnd;
+			this.syncNativeAnimations();
+			this.updateDebugOverlay();
+			this.update();
+		}
 
-		const scrollFrameSize = this.isDocumentSource ? contextWinSize : contextWrapperSize;
+		return this;
+	}
 
-		// If no range specified, determine `source` range...
-		if (!rangeEl || rangeEl == this.source) {
-			rangeOffsetStart = calculateUnitValue(rangeStartUnit, rangeStartValue, this.winSizes, contextSourceSize);
-			rangeOffsetEnd = calculateUnitValue(rangeEndUnit, rangeEndValue, this.winSizes, contextSourceSize);
 
-			timelineRangeStart = Math.max( 
-				0, 
-				rangeOffsetStart - (this.isDocumentSource ? 0 : scrollFrameSize)
-			);
+	/**
+	 * Re-measures the sizes and the blocks and recomputes the scroll-timeline ranges of changed blocks (see `refresh()`).
+	 *
+	 * @param {Set<HTMLElement>|null} [elems=null] - The resized (animated or range) elements. Defaults to all.
+	 * 
+	 * @returns {boolean} - `true` if any size or block has changed.
+	 */
+	measureBlocks = (elems = null) => {
+		const hasResized = this.measureSizes();
+		let hasChanged = hasResized;
 
-			timelineRangeEnd = Math.max(
-				timelineRangeStart,
-				Math.min( contextSourceSize + rangeOffsetEnd - (this.isDocumentSource ? contextWinSize : 0), contextSourceSize - scrollFrameSize )
-			);
+		if (hasResized) this.updateBreakpoints();
 
-		// ...otherwise determine provided timeline range
-		} else {
-			contextRangeSize = this.isVertical ? rangeEl.offsetHeight : rangeEl.offsetWidth;
+		for (const block of this.blocks) {
+			if (!hasResized && elems && !elems.has(block.el) && !elems.has(block.rangeEl)) continue;
 
-			const sourceRectStart = this.isVertical 
-				? this.source.getBoundingClientRect().top 
-				: this.source.getBoundingClientRect().left;
+			const measurement = this.measureBlock(block.el, block.rangeEl, block.pin, block.measurement);
+			const isUnchanged = Object.keys(measurement).every(key => isEqualSizes(block.measurement[key], measurement[key]));
 
-			const rangeRectStart = this.isVertical 
-				? rangeEl.getBoundingClientRect().top 
-				: rangeEl.getBoundingClientRect().left;
+			// Sizes of the source and window affect all ranges, even if the block itself did not change
+			if (isUnchanged && !hasResized) continue;
 
-			contextRangeStart = rangeRectStart - sourceRectStart;
-			contextRangeEnd = contextRangeStart + contextRangeSize;
+			block.measurement = measurement;
+			block.rangeSizes = measurement.rangeSizes;
+			block.elSizes = measurement.elSizes;
+			if (block.hasDefaultPinOffset) block.rangeOffsets[0] = this.getDefaultPinOffset();
+			block.timelineRangeData = this.getTimelineRange(block.rangeEl, ...block.rangeOffsets, measurement);
+			hasChanged = true;
+		}
 
-			rangeOffsetStart = calculateUnitValue(rangeStartUnit, rangeStartValue, this.winSizes, contextRangeSize);
-			rangeOffsetEnd = calculateUnitValue(rangeEndUnit, rangeEndValue, this.winSizes, contextRangeSize);
+		return hasChanged;
+	}
 
-			timelineRangeStart =  Math.max(
-				0, 
-				contextRangeStart + rangeOffsetStart - scrollFrameSize
-			);
 
-			timelineRangeEnd = Math.max(
-				timelineRangeStart,
-				Math.min( contextRangeEnd + rangeOffsetEnd, contextSourceSize - scrollFrameSize )
-			);
+	/**
+	 * Smoothly scrolls the source to an element, a progress within a scroll-timeline range, a trigger or a position.
+	 *
+	 * - An element (or selector) is scrolled to the start of the viewport, based on its untransformed position.
+	 * - `{ el, progress }` scrolls to the progress (0 to 1) within the scroll-timeline range of the block of `el`, 
+	 *   or of the range defined by `el` (e.g. `{ el: '#intro', progress: 0.5 }`).
+	 * - `{ trigger }` scrolls to the start of the trigger with the given `name` (or class).
+	 * - A number scrolls to the absolute scroll position in pixels.
+	 *
+	 * @param {string|HTMLElement|Object|number} target - The scroll target.
+	 * @param {Object} [options={}] - The scroll options.
+	 * @param {number} [options.duration=500] - The duration of the scroll animation in milliseconds.
+	 * @param {string|Function} [options.easing='CubicInOut'] - The easing of the scroll animation.
+	 * @param {string|number} [options.offset=0] - An offset added to the target position (e.g. `'-80px'`, `'-10vh'` or `50` percent of the viewport).
+	 * 
+	 * @returns {Promise<boolean>} - Resolves with `true` once the target is reached, or `false` if cancelled or invalid.
+	 */
+	scrollTo = (target, options = {}) => {
+		const { duration, easing, offset } = { ...Scrollage.SCROLL_DEFAULTS, ...options };
+		const position = this.isActive ? this.getTargetPosition(target) : null;
+
+		if (position === null || !Number.isFinite(position)) {
+			console.warn('ScrollageJS: Invalid scroll target.');
+			return Promise.resolve(false);
 		}
 
-		// Debugging
-		if (Scrollage.DEBUG_MODE) {
-			console.log(`contextRangeStart: ${contextRangeStart}  ||  contextRangeEnd: ${contextRangeEnd}`);
-			console.log(`rangeOffsetStart: ${rangeOffsetStart}  ||  rangeOffsetEnd: ${rangeOffsetEnd}`);
-			console.log(`timelineRangeStart*: ${timelineRangeStart}  ||  timelineRangeEnd*: ${timelineRangeEnd}`);
-			console.log(`cntxtWinSize: ${contextWinSize}  ||  cntxtWrapperSize: ${contextWrapperSize}`);
-			console.log(`cntxtSourceSize: ${contextSourceSize}  ||  cntxtRangeSize: ${contextRangeSize}`);
+		const axis = this.isVertical ? 'y' : 'x';
+		const scrollFrameSize = this.isDocumentSource ? this.winSizes[axis] : this.wrapperSizes[axis];
+		const offsetData = splitValueUnit(offset) || { value: 0 };
+
+		return this.scrollToPosition(
+			position + calculateUnitValue(offsetData.unit, offsetData.value, this.winSizes, scrollFrameSize),
+			{ duration, easing }
+		);
+	}
+
+
+	/**
+	 * Calculates the scroll position of a `scrollTo()` target.
+	 *
+	 * @param {string|HTMLElement|Object|number} target - The scroll target.
+	 * 
+	 * @returns {number|null} - The scroll position in pixels or `null` if the target is invalid.
+	 */
+	getTargetPosition = (target) => {
+		if (typeof target === 'number') return target;
+
+		// Named trigger
+		if (target?.trigger) {
+			const trigger = this.triggers.find(trigger => (trigger.config.name ?? trigger.class) === target.trigger);
+			return trigger ? trigger.start : null;
 		}
 
-		return {
-			start: timelineRangeStart,
-			end: timelineRangeEnd
+		// Progress within a scroll-timeline range
+		if (target?.el) {
+			const el = this.validateEl(target.el, 'scroll target');
+			if (!el) return null;
+
+			const block = this.blocks.find(block => block.el === el) || this.blocks.find(block => block.rangeEl === el);
+			const { start, end } = block ? block.timelineRangeData : this.getTimelineRange(el);
+			let progress = Math.max(0, Math.min(1, parseFloat(target.progress) || 0));
+
+			// The progress of group children refers to their segment
+			if (block?.segment) progress = block.segment.start + (block.segment.end - block.segment.start) * progress;
+
+			return start + (end - start) * progress;
 		}
+
+		// Element (pinned elements are represented by their spacer)
+		const el = this.validateEl(target, 'scroll target');
+		if (!el) return null;
+
+		const offset = this.getElementOffset(this.pinSpacers.get(el) || el);
+		return this.isVertical ? offset.top : offset.left;
 	}
 
 
 	/**
-	 * Calculates the scroll progression as a percentage (0 to 1) within a specified scroll-timeline range.
+	 * Creates a group of elements, that share a scroll-timeline range and animate one after another within it.
 	 *
-	 * - Determines how far the user has scrolled relative to a given range.
-	 * - Can use a custom range element or default to the main source.
-	 * - Clamps the result between 0 (not scrolled) and 1 (fully scrolled).
+	 * Returns a builder, whose `add(target, config)` works like `add()` and appends the elements to the group.
+	 * The config of a child accepts an `overlap` (instead of `data-overlap`).
 	 *
-	 * @param {HTMLElement|string|null} [range=null] - The target element or selector defining the scroll-timeline range. Defaults to the source.
-	 * @param {Object|null} [timelineRangeData=null] - Precomputed scroll-timeline range data to avoid redundant calculations.
+	 * @param {Object} [options={}] - The group options.
+	 * @param {string|HTMLElement} [options.range] - The shared range element or selector. Defaults to the source.
+	 * @param {string|Array} [options.offset] - The shared range offsets (like `data-timeline-offset`).
+	 * @param {number} [options.stagger=1] - The share of a child's duration after which the next child starts.
 	 * 
-	 * @returns {number} - The normalized scroll progression (0 to 1).
+	 * @returns {Object} - The timeline builder with a chainable `add()` method.
 	 */
-	getScrollProgress = (range = null, timelineRangeData = null) => {
-		const scrollPos = this.getScrollPos();
-		const rangeEl = range ? this.validateEl(range, 'range') : this.source;
-		if (!timelineRangeData) timelineRangeData = this.getTimelineRange(rangeEl);
-			
-		// Determine start and end scroll positions
-		const scrollStart = timelineRangeData.start - scrollPos;
-		const scrollEnd = timelineRangeData.end - scrollPos;
-		
-		// Calculate scroll progression percentage
-		let scrollPercentage = scrollStart / (scrollEnd - scrollStart) * -100;
-		
-		// Clamp value between 0 and 100
-		scrollPercentage = Math.min(100, Math.max(0, scrollPercentage));
-		
-		// Debugging
-		if (Scrollage.DEBUG_MODE) {
-			console.log(`scrollPos: ${scrollPos}  ||  scrollPercentage: ${scrollPercentage}`);
-			console.log(`scrollStartPos: ${scrollStart}  ||  scrollEndPos: ${scrollEnd}`);
+	timeline = (options = {}) => {
+		const group = {
+			name: options.name || null,
+			range: options.range || null,
+			offset: options.offset ?? null,
+			stagger: options.stagger ?? 1,
+			elems: []
+		};
+
+		const builder = {
+			add: (target, config = {}) => {
+				for (const el of this.resolveElems(target)) {
+					if (!group.elems.includes(el)) group.elems.push(el);
+				}
+
+				this.add(target, { ...config, group });
+				return builder;
+			}
+		};
+
+		return builder;
+	}
+
+
+	/**
+	 * Adds elements with a JavaScript animation config to the instance.
+	 *
+	 * The config accepts the same values as the `data-animation-*` attributes (e.g. `move`, `fade`), 
+	 * as well as `range`, `offset`, `smooth`, `reducedMotion` and `pin` instead of `data-timeline-range`, 
+	 * `data-timeline-offset`, `data-smooth`, `data-reduced-motion` and `data-pin`.
+	 * A previously added config of the same element is replaced.
+	 *
+	 * @param {string|HTMLElement|NodeList|Array<HTMLElement>} target - The element(s) or selector to add.
+	 * @param {Object} [config={}] - The animation config (e.g. `{ move: { endY: 100 }, offset: '20% -20%' }`).
+	 * 
+	 * @returns {Scrollage} - The instance, to allow chaining.
+	 */
+	add = (target, config = {}) => {
+		const elems = this.resolveElems(target);
+
+		// Validate the configs before they are applied (`strict` mode throws), inactive instances validate in `init()`
+		if (this.isActive) {
+			for (const el of elems) this.validateElem(el, config);
 		}
 
-		return scrollPercentage / 100;
+		for (const el of elems) {
+			this.excludedElems.delete(el);
+			this.configs.set(el, { ...config });
+		}
+
+		if (this.isActive) {
+			this.recacheBlocks(elems);
+			this.update();
+		}
+		return this;
 	}
 
 
 	/**
-	 * Updates the scroll progress for each cached block and triggers classes.
+	 * Updates the JavaScript animation config of elements and re-caches their blocks.
+	 *
+	 * Unlike `add()`, the given config is merged into a previously added config.
+	 *
+	 * @param {string|HTMLElement|NodeList|Array<HTMLElement>} target - The element(s) or selector to update.
+	 * @param {Object} [config={}] - The animation config to merge.
 	 * 
-	 * @returns {void} - This function does not return a value.
+	 * @returns {Scrollage} - The instance, to allow chaining.
 	 */
-	update = () => {
-		for (let i = 0; i < this.blocks.length; i++) {
-			this.blocks[i].progress = this.getScrollProgress(
-				this.blocks[i].rangeEl,
-				this.blocks[i].timelineRangeData
-			);
+	set = (target, config = {}) => {
+		const elems = this.resolveElems(target);
+
+		// Validate the merged configs before they are applied (`strict` mode throws), inactive instances validate in `init()`
+		if (this.isActive) {
+			for (const el of elems) this.validateElem(el, { ...this.configs.get(el), ...config });
 		}
 
-		this.triggerClasses();
+		for (const el of elems) {
+			this.excludedElems.delete(el);
+			this.configs.set(el, { ...this.configs.get(el), ...config });
+		}
 
-		if (!this.reducedMotion) requestAnimationFrame(this.animate);
+		if (this.isActive) {
+			this.recacheBlocks(elems);
+			this.update();
+		}
+		return this;
 	}
 
 
 	/**
-	 * Applies animations to all blocks based on their progress within the scroll-timeline range.
-	 * [Formula: newValue = targetMin + (targetMax - targetMin) * (sourceValue - sourceMin) / (sourceMax - sourceMin)]
+	 * Loads a declarative config, which maps selectors to animation configs (see `add()`) and defines triggers.
 	 *
-	 * @returns {void} - This function does not return a value.
+	 * - Each selector is added with its config (see `add()`), so that it takes precedence over the data attributes.
+	 * - Triggers are appended to the `triggers` option (the state of existing triggers is kept).
+	 * - All configs and triggers are validated before any of them is applied, so that `strict` mode leaves the 
+	 *   instance unchanged.
+	 * - Emits the `load` event.
+	 *
+	 * @param {Object|string} config - The config as `{ animations, triggers }` or its JSON string.
+	 * 
+	 * @returns {Scrollage} - The instance, to allow chaining.
 	 */
-	animate = () => {
-		for (let i = 0; i < this.blocks.length; i++) {
-			const block = this.blocks[i];
+	load = (config) => {
+		const { animations, triggers } = parseConfig(config);
 
-			// Skip blocks without animations
-			if (!block.animations.length) continue; 
+		// Resolve the elements of all selectors (later selectors replace the configs of earlier ones, like `add()`)
+		const loadedElems = new Map();
 
-			const breakpoint = this.currentBreakpoint;
-			const el = this.elems[i];
+		for (const selector of Object.keys(animations)) {
+			if (!animations[selector] || typeof animations[selector] !== 'object') {
+				console.warn(`ScrollageJS: Invalid config for "${selector}".`);
+				continue;
+			}
 
-			if (!el) continue;
+			for (const el of this.resolveElems(selector)) loadedElems.set(el, { selector, config: animations[selector] });
+		}
 
-			let curAnimationData;
-			let transforms = [];
-			let filters = [];
-			let opacityValue = null;
-	
-			for (let j = 0; j < block.animations.length; j++) {
-				const animation = block.animations[j];
+		// Validate everything before anything is changed (`strict` mode throws), inactive instances validate in `init()`
+		if (this.isActive) {
+			for (const [el, { config }] of loadedElems) this.validateElem(el, config);
+		}
+		this.validateTriggers(triggers);
 
-				if (animation.move) {
-					curAnimationData = animation.move.responsive?.[breakpoint] || animation.move;
-					transforms.push( move(curAnimationData, block.progress, block.rangeSizes, block.elSizes, this.winSizes) );
-				}
-				if (animation.rotate) {
-					curAnimationData = animation.rotate.responsive?.[breakpoint] || animation.rotate;
-					transforms.push( rotate(curAnimationData, block.progress) );
-				}
-				if (animation.scale) {
-					curAnimationData = animation.scale.responsive?.[breakpoint] || animation.scale;
-					transforms.push( scale(curAnimationData, block.progress) );
-				}
-				if (animation.saturate) {
-					curAnimationData = animation.saturate.responsive?.[breakpoint] || animation.saturate;
-					if (curAnimationData.start && curAnimationData.end) {
-						filters.push( saturate(curAnimationData, block.progress) );
-					}
-				}
-				if (animation.blur) {
-					curAnimationData = animation.blur.responsive?.[breakpoint] || animation.blur;
-					if (curAnimationData.start && curAnimationData.end) {
-						filters.push( blur(curAnimationData, block.progress) );
-					}
-				}
-				if (animation.fade) {
-					curAnimationData = animation.fade.responsive?.[breakpoint] || animation.fade;
-					if (curAnimationData.start && curAnimationData.end) {
-						opacityValue = fade(curAnimationData, block.progress);
-					}
+		for (const [el, { selector, config }] of loadedElems) {
+			this.selectors.set(el, selector);
+			this.excludedElems.delete(el);
+			this.configs.set(el, { ...config });
+		}
+
+		if (triggers.length) {
+			this.options.triggers = [...(Array.isArray(this.options.triggers) ? this.options.triggers : []), ...triggers];
+		}
+
+		if (this.isActive && (loadedElems.size || triggers.length)) {
+			if (loadedElems.size) this.recacheBlocks([...loadedElems.keys()]);
+
+			if (triggers.length) {
+				const activeTriggers = new Set(this.triggers.filter(trigger => trigger.isActive).map(trigger => trigger.config));
+
+				this.cacheTriggers();
+				for (const trigger of this.triggers) {
+					if (activeTriggers.has(trigger.config)) trigger.isActive = true;
 				}
+				this.updateDebugOverlay();
+			}
+
+			this.update();
+		}
+
+		this.emit('load', { config: { animations, triggers } });
+		return this;
+	}
+
+
+	/**
+	 * Serializes the animated elements and triggers of the instance into a declarative config (see `load()`).
+	 *
+	 * - Elements are identified by the selector they were loaded with, or by a generated selector. Elements that share
+	 *   a selector but differ in their configs are exported by their generated selectors, so that none of them changes.
+	 * - The configs of `add()` / `set()` are merged into the data attributes of each element.
+	 * - Functions (e.g. callbacks) and groups are omitted, elements are replaced by selectors.
+	 *
+	 * @returns {Object} - The config as `{ animations, triggers }`, which can be stringified as JSON.
+	 */
+	export = () => {
+		const animations = {};
+		const elemsBySelector = new Map();
+
+		for (const el of this.elems) {
+			const { group, ...config } = this.configs.get(el) || {};
+			const selector = this.selectors.get(el) || getSelector(el);
+
+			if (!elemsBySelector.has(selector)) elemsBySelector.set(selector, []);
+			elemsBySelector.get(selector).push({ el, config: serializeConfig({ ...getAttributeConfig(el), ...config }) });
+		}
+
+		for (const [selector, entries] of elemsBySelector) {
+			const json = JSON.stringify(entries[0].config);
+
+			if (entries.every(entry => JSON.stringify(entry.config) === json)) {
+				animations[selector] = entries[0].config;
+				continue;
 			}
 
-			if (transforms.length) el.style.transform = transforms.join(' ');
-			if (filters.length) el.style.filter = filters.join(' ');
-			if (opacityValue != null) el.style.opacity = opacityValue;
+			for (const { el, config } of entries) animations[getSelector(el)] = config;
+		}
+
+		return {
+			animations,
+			triggers: serializeConfig(Array.isArray(this.options.triggers) ? this.options.triggers : [])
+		};
+	}
+
+
+	/**
+	 * Removes elements from the instance and restores their original styles.
+	 *
+	 * Removed elements are not picked up again by `init()`, unless they are added again.
+	 *
+	 * @param {string|HTMLElement|NodeList|Array<HTMLElement>} target - The element(s) or selector to remove.
+	 * 
+	 * @returns {Scrollage} - The instance, to allow chaining.
+	 */
+	remove = (target) => {
+		for (const el of this.resolveElems(target)) {
+			this.configs.delete(el);
+			this.selectors.delete(el);
+			this.excludedElems.add(el);
+			this.uncacheBlock(el);
+		}
+		return this;
+	}
+
+
+	/**
+	 * Registers a callback for a Scrollage event.
+	 *
+	 * @param {string} event - The event name (e.g. `'init'`, `'progress'`, `'enter'` or `'trigger:on'`).
+	 * @param {Function} callback - The function to call with the event payload.
+	 * 
+	 * @returns {Scrollage} - The instance, to allow chaining.
+	 */
+	on = (event, callback) => {
+		if (!(event in Scrollage.EVENTS)) {
+			console.warn(`ScrollageJS: Unknown event "${event}".`);
+			return this;
 		}
+		if (typeof callback !== 'function') return this;
+
+		if (!this.events[event]) this.events[event] = [];
+		this.events[event].push(callback);
+		return this;
+	}
+
+
+	/**
+	 * Removes a previously registered callback, or all callbacks of an event if none is provided.
+	 *
+	 * @param {string} event - The event name.
+	 * @param {Function} [callback] - The callback to remove.
+	 * 
+	 * @returns {Scrollage} - The instance, to allow chaining.
+	 */
+	off = (event, callback) => {
+		if (!this.events[event]) return this;
+
+		this.events[event] = callback
+			? this.events[event].filter(fn => fn !== callback)
+			: [];
+		return this;
+	}
+
+
+	/**
+	 * Calls the option callback and all registered callbacks of an event.
+	 *
+	 * Every payload contains the event `type`, the `instance` and the current scroll `direction`.
+	 *
+	 * @param {string} event - The event name.
+	 * @param {Object} [data={}] - Additional event data (e.g. `el` and `progress`).
+	 * 
+	 * @returns {void}
+	 */
+	emit = (event, data = {}) => {
+		const optionCallback = this.options[Scrollage.EVENTS[event]];
+		const callbacks = this.events[event] || [];
+
+		if (typeof optionCallback !== 'function' && !callbacks.length) return;
+
+		const payload = {
+			type: event,
+			instance: this,
+			direction: this.scrollDirection,
+			...data
+		};
+
+		if (typeof optionCallback === 'function') optionCallback.call(this, payload);
+		for (const callback of [...callbacks]) callback.call(this, payload);
 	}
 
 
@@ -628,24 +2855,66 @@ class Scrollage {
 	 * - Restores original element styles.
 	 * - Removes trigger classes from target elements.
 	 * - Detaches all event listeners.
+	 * - Emits the `destroy` event.
 	 */
 	destroy = () => {
+		this.teardown();
+		this.emit('destroy');
+	}
+
+
+	/**
+	 * Resets all cached elements, trigger classes and listeners without emitting any events.
+	 * Used by `init()` to re-cache an instance.
+	 */
+	teardown = () => {
+		// Cancel native animations
+		for (const { animation } of this.nativeAnimations.values()) animation.cancel();
+		this.nativeAnimations.clear();
+
 		// Reset element styles
 		for (let i = 0; i < this.elems.length; i++) {
 			this.elems[i].style.cssText = this.blocks[i]?.originalStyles || '';
 		}
 		this.elems = [];
 		this.blocks = [];
+
+		// Remove pin spacers
+		for (const [el, spacer] of this.pinSpacers) removePinSpacer(el, spacer);
+		this.pinSpacers.clear();
+		this.groups.clear();
 		
 		// Reset trigger classes
 		for (let i = 0; i < this.triggers.length; i++) {
 			this.triggers[i].targetEl.classList.remove(this.triggers[i]?.class);
+
+			if (this.triggers[i].config.directionClasses) {
+				this.triggers[i].targetEl.classList.remove(...Scrollage.TRIGGER_DIRECTION_CLASSES);
+			}
 		}
 		this.triggers = [];
+
+		// Remove debug overlay
+		if (this.debugOverlay) removeDebugOverlay(this.debugOverlay);
+		this.debugOverlay = null;
+
+		// Reset scroll direction classes
+		if (this.directionClass) this.source?.classList.remove(...Scrollage.SCROLL_DIRECTION_CLASSES);
+		this.directionClass = null;
 		
 		// Remove event listeners
-		(this.options.source ? this.source : window)?.removeEventListener('scroll', this.update);
-		(this.options.source ? this.source : window)?.removeEventListener('touchmove', this.update);
+		(this.options.source ? this.source : window)?.removeEventListener('scroll', this.handleScroll);
+		(this.options.source ? this.source : window)?.removeEventListener('touchmove', this.handleScroll);
+		window.removeEventListener('scroll', this.handleWindowScroll);
+
+		for (const type of Scrollage.INTERACTION_EVENTS) {
+			(this.options.source ? this.source : window)?.removeEventListener(type, this.handleInteraction);
+		}
+
+		// Cancel snapping and programmatic scrolling
+		clearTimeout(this.snapTimer);
+		this.snapTimer = null;
+		this.cancelScroll();
 
 		/*
 		window.removeEventListener('resize', this.debouncedSetup);
@@ -654,8 +2923,34 @@ class Scrollage {
 
 		// Remove resize observer
 		this.resizeObserver?.disconnect();
+		this.resizeObserver = null;
+		this.resizedElems.clear();
+
+		// Remove mutation observer
+		this.mutationObserver?.disconnect();
+		this.mutationObserver = null;
+
+		// Remove culling observer
+		this.cullingObserver?.disconnect();
+		this.cullingObserver = null;
+
+		// Remove reduced motion listener
+		this.reducedMotionQuery?.removeEventListener?.('change', this.handleReducedMotionChange);
+		this.reducedMotionQuery = null;
+
+		// Remove media query breakpoint listeners
+		for (const mediaQuery of this.breakpointQueries) {
+			mediaQuery.removeEventListener?.('change', this.handleBreakpointChange);
+		}
+		this.breakpointQueries = [];
+
+		// Cancel pending updates and renders
+		cancelScheduled(this);
+		this.lastFrameTime = null;
+		this.lastScrollTime = null;
+		this.velocity = 0;
 
-		//this.isActive = false;
+		this.isActive = false;
 	}
 
 }
@@ -0,0 +1,162 @@
+// Duration of paused animations in milliseconds, which maps the progress (0 to 1) to their current time
+const PROGRESS_DURATION = 1000;
+
+// Maximum number of times a sampled segment is halved where linear interpolation deviates from the sampled styles
+const MAX_SUBDIVISIONS = 5;
+
+// Maximum deviation of the numeric style values (e.g. pixels, degrees or opacity) from linear interpolation,
+// relative to their magnitude (but at least `1`)
+const INTERPOLATION_TOLERANCE = 0.005;
+
+
+/**
+ * Checks whether the browser supports native scroll-driven animations (`ScrollTimeline` and the Web Animations API).
+ *
+ * @returns {boolean} - `true` if native scroll-driven animations are supported.
+ */
+export function supportsScrollTimeline() {
+    return typeof window !== 'undefined'
+        && typeof window.ScrollTimeline === 'function'
+        && typeof Element.prototype.animate === 'function';
+}
+
+
+/**
+ * Checks whether the browser supports paused Web Animations (`KeyframeEffect` and `Animation`).
+ *
+ * @returns {boolean} - `true` if the Web Animations API is supported.
+ */
+export function supportsWebAnimations() {
+    return typeof window !== 'undefined'
+        && typeof window.KeyframeEffect === 'function'
+        && typeof window.Animation === 'function';
+}
+
+
+/**
+ * Checks whether the numeric values of the styles at the middle of a segment match the linear interpolation
+ * between its keyframes (within `INTERPOLATION_TOLERANCE`).
+ *
+ * @param {Object} from - The keyframe at the start of the segment.
+ * @param {Object} middle - The keyframe at the middle of the segment.
+ * @param {Object} to - The keyframe at the end of the segment.
+ *
+ * @returns {boolean} - `true` if the segment can be interpolated linearly.
+ */
+function isLinearSegment(from, middle, to) {
+    const getNumbers = (value) => (String(value ?? '').match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+
+    for (const prop of Object.keys(middle)) {
+        if (prop === 'offset') continue;
+
+        const [fromNumbers, middleNumbers, toNumbers] = [from[prop], middle[prop], to[prop]].map(getNumbers);
+        if (fromNumbers.length !== middleNumbers.length || toNumbers.length !== middleNumbers.length) return false;
+
+        const isLinear = middleNumbers.every((number, i) => {
+            const tolerance = INTERPOLATION_TOLERANCE * Math.max(1, Math.abs(fromNumbers[i]), Math.abs(toNumbers[i]));
+            return Math.abs(number - (fromNumbers[i] + toNumbers[i]) / 2) <= tolerance;
+        });
+        if (!isLinear) return false;
+    }
+
+    return true;
+}
+
+
+/**
+ * Samples the animated styles of an element into keyframes, which are interpolated linearly by the browser.
+ *
+ * The styles are sampled at evenly distributed offsets. Segments whose middle deviates from linear interpolation
+ * (e.g. with `steps`, `bounce` or `elastic` easings) are halved up to `MAX_SUBDIVISIONS` times, so that
+ * the keyframes approximate the easings, keyframes and unit conversions as they are computed in JavaScript.
+ * Discrete jumps (e.g. of `steps` easings) are approximated by short transitions.
+ *
+ * @param {Function} getStyles - Returns the styles (by property name) at a given progress (0 to 1).
+ * @param {number} [samples=20] - The number of evenly distributed segments before subdivision.
+ *
+ * @returns {Array<Object>} - The keyframes for `Element.animate()`.
+ */
+export function sampleKeyframes(getStyles, samples = 20) {
+    const sample = (offset) => ({ ...getStyles(offset), offset });
+    const keyframes = [sample(0)];
+
+    const addSegment = (from, to, depth) => {
+        if (depth < MAX_SUBDIVISIONS) {
+            const middle = sample((from.offset + to.offset) / 2);
+
+            if (!isLinearSegment(from, middle, to)) {
+                addSegment(from, middle, depth + 1);
+                addSegment(middle, to, depth + 1);
+                return;
+            }
+        }
+
+        keyframes.push(to);
+    };
+
+    for (let i = 1; i <= samples; i++) {
+        addSegment(keyframes[keyframes.length - 1], sample(i / samples), 0);
+    }
+
+    return keyframes;
+}
+
+
+/**
+ * Creates a native scroll-driven animation, which runs between two scroll positions of a source.
+ *
+ * @param {HTMLElement} el - The element to animate.
+ * @param {Array<Object>} keyframes - The keyframes of the animation.
+ * @param {Object} timelineData - The scroll-timeline of the animation.
+ * @param {HTMLElement} timelineData.source - The scroll-container source.
+ * @param {boolean} timelineData.isVertical - Whether the source scrolls vertically (or horizontally).
+ * @param {number} timelineData.start - The scroll position in pixels at which the animation starts.
+ * @param {number} timelineData.end - The scroll position in pixels at which the animation ends.
+ *
+ * @returns {Animation} - The running animation.
+ */
+export function createScrollAnimation(el, keyframes, { source, isVertical, start, end }) {
+    return el.animate(keyframes, {
+        timeline: new window.ScrollTimeline({ source, axis: isVertical ? 'y' : 'x' }),
+        rangeStart: `${start}px`,
+        rangeEnd: `${end}px`,
+        easing: 'linear',
+        fill: 'both'
+    });
+}
+
+
+/**
+ * Creates a paused animation, whose progress is set manually via `setAnimationProgress()`.
+ *
+ * @param {HTMLElement} el - The element to animate.
+ * @param {Array<Object>} keyframes - The keyframes of the animation.
+ *
+ * @returns {Animation} - The paused animation.
+ */
+export function createProgressAnimation(el, keyframes) {
+    const effect = new window.KeyframeEffect(el, keyframes, {
+        duration: PROGRESS_DURATION,
+        easing: 'linear',
+        fill: 'both'
+    });
+    const animation = new window.Animation(effect, document.timeline);
+
+    animation.pause();
+    animation.currentTime = 0;
+
+    return animation;
+}
+
+
+/**
+ * Sets the progress of a paused animation (see `createProgressAnimation()`).
+ *
+ * @param {Animation} animation - The paused animation.
+ * @param {number} progress - The progress (0 to 1).
+ *
+ * @returns {void}
+ */
+export function setAnimationProgress(animation, progress) {
+    animation.currentTime = Math.max(0, Math.min(1, progress)) * PROGRESS_DURATION;
+}
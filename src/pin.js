@@ -0,0 +1,142 @@
+// Class of the spacer that wraps pinned elements
+export const PIN_SPACER_CLASS = 'scrollage-pin-spacer';
+
+// Inline style properties that are overwritten while an element is pinned
+const PIN_STYLE_PROPERTIES = ['position', 'top', 'left', 'width', 'height', 'margin', 'boxSizing'];
+
+// Flex and grid item properties that are copied to the spacer, which takes the place of the element in the layout
+const SPACER_ITEM_PROPERTIES = [
+    'flexGrow', 'flexShrink', 'flexBasis', 'order', 'alignSelf', 'justifySelf',
+    'gridRowStart', 'gridRowEnd', 'gridColumnStart', 'gridColumnEnd'
+];
+
+
+/**
+ * Checks whether an element should be pinned, based on its config or `data-pin` attribute.
+ *
+ * @param {HTMLElement} el - The element to check.
+ * @param {Object} [config={}] - The JavaScript config of the element (`pin` takes precedence over `data-pin`).
+ *
+ * @returns {boolean} - `true` if the element should be pinned.
+ */
+export function hasPin(el, config = {}) {
+    const dataPin = config.pin ?? el.getAttribute('data-pin');
+    return dataPin != null && dataPin !== false && dataPin !== 'false';
+}
+
+
+/**
+ * Wraps an element into a spacer, which keeps its space (and the pin distance) in the layout while it is pinned.
+ *
+ * The flex and grid item properties of the element are copied to the spacer once, so that it keeps its place
+ * within flex and grid containers.
+ *
+ * @param {HTMLElement} el - The element to pin.
+ *
+ * @returns {HTMLElement} - The spacer element.
+ */
+export function createPinSpacer(el) {
+    const spacer = document.createElement('div');
+    spacer.className = PIN_SPACER_CLASS;
+
+    const computedStyle = getComputedStyle(el);
+    for (const prop of SPACER_ITEM_PROPERTIES) {
+        if (computedStyle[prop]) spacer.style[prop] = computedStyle[prop];
+    }
+
+    el.parentNode.insertBefore(spacer, el);
+    spacer.appendChild(el);
+
+    return spacer;
+}
+
+
+/**
+ * Removes the spacer of an element and moves the element back to its original position.
+ *
+ * Elements that were removed from their spacer (e.g. removed from the DOM) are not re-inserted.
+ *
+ * @param {HTMLElement} el - The pinned element.
+ * @param {HTMLElement} spacer - The spacer of the element.
+ *
+ * @returns {void}
+ */
+export function removePinSpacer(el, spacer) {
+    if (el.parentNode === spacer && spacer.parentNode) spacer.parentNode.insertBefore(el, spacer);
+    spacer.remove();
+}
+
+
+/**
+ * Extracts the original values of all style properties that are overwritten while an element is pinned.
+ *
+ * @param {string} originalStyles - The original inline styles of the element.
+ *
+ * @returns {Object} - The original values by property name.
+ */
+export function getOriginalPinStyles(originalStyles) {
+    const style = document.createElement('div').style;
+    style.cssText = originalStyles || '';
+
+    return Object.fromEntries(PIN_STYLE_PROPERTIES.map(prop => [prop, style[prop]]));
+}
+
+
+/**
+ * Determines the pin state for a scroll position.
+ *
+ * @param {number} scrollPos - The current scroll position.
+ * @param {Object} timelineRangeData - The scroll-timeline range as `{ start, end }`.
+ *
+ * @returns {string} - `'before'`, `'pinned'` or `'after'`.
+ */
+export function getPinState(scrollPos, timelineRangeData) {
+    if (scrollPos < timelineRangeData.start) return 'before';
+    if (scrollPos > timelineRangeData.end) return 'after';
+    return 'pinned';
+}
+
+
+/**
+ * Applies the styles of a pin state to the element and its spacer.
+ *
+ * - `before`: The element stays in place, the pin distance is reserved after it.
+ * - `pinned`: The element is fixed at the given position, the spacer keeps its size.
+ * - `after`: The element is moved to the end of the pin distance, which is reserved before it.
+ *
+ * @param {Object} pinData - The pin data of the block.
+ * @param {HTMLElement} pinData.el - The pinned element.
+ * @param {HTMLElement} pinData.spacer - The spacer of the element.
+ * @param {string} pinData.state - The pin state to apply.
+ * @param {number} pinData.spacing - The pin distance in pixels.
+ * @param {Object} [pinData.position] - The fixed viewport position as `{ top, left }` (`pinned` only).
+ * @param {Object} pinData.elBox - The untransformed size of the element as `{ x, y }`.
+ * @param {Object} pinData.spacerSize - The size of the spacer without the pin distance as `{ x, y }`.
+ * @param {Object} pinData.originalStyles - The original values of the pin style properties.
+ * @param {boolean} [isVertical=true] - Whether the pin distance is vertical (or horizontal).
+ *
+ * @returns {void}
+ */
+export function applyPin({ el, spacer, state, spacing, position, elBox, spacerSize, originalStyles }, isVertical = true) {
+    const [paddingStart, paddingEnd, size] = isVertical
+        ? ['paddingTop', 'paddingBottom', 'height']
+        : ['paddingLeft', 'paddingRight', 'width'];
+
+    spacer.style[paddingStart] = state === 'after' ? `${spacing}px` : '';
+    spacer.style[paddingEnd] = state === 'after' ? '' : `${spacing}px`;
+    spacer.style[size] = state === 'pinned' ? `${spacerSize[isVertical ? 'y' : 'x']}px` : '';
+
+    if (state === 'pinned') {
+        Object.assign(el.style, {
+            position: 'fixed',
+            top: `${position.top}px`,
+            left: `${position.left}px`,
+            width: `${elBox.x}px`,
+            height: `${elBox.y}px`,
+            margin: '0',
+            boxSizing: 'border-box'
+        });
+    } else {
+        Object.assign(el.style, originalStyles);
+    }
+}
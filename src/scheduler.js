@@ -0,0 +1,128 @@
+/**
+ * Shared frame scheduler for all Scrollage instances.
+ *
+ * Coalesces scroll updates into a single `requestAnimationFrame()` callback per frame, which
+ * 1. runs the progress computation (`update()`) of every scheduled instance (reads), then
+ * 2. renders every scheduled instance (writes).
+ * Scroll positions are read once per source and frame.
+ */
+
+const pendingUpdates = new Set();
+const pendingRenders = new Set();
+const scrollPosCache = new Map();
+
+let frameId = null;
+let isFlushing = false;
+
+
+/**
+ * Runs a scheduled task of an instance, so that an error (e.g. in an event callback) does not block other instances.
+ *
+ * @param {Function} task - The task to run.
+ *
+ * @returns {void}
+ */
+function runTask(task) {
+    try {
+        task();
+    } catch (error) {
+        console.error('ScrollageJS: Error during scheduled frame.', error);
+    }
+}
+
+
+/**
+ * Runs all pending updates and renders of the current frame.
+ *
+ * @param {number} time - The frame timestamp provided by `requestAnimationFrame()`.
+ *
+ * @returns {void}
+ */
+function flush(time) {
+    isFlushing = true;
+
+    // Read phase: Compute the progress of all scheduled instances
+    const updates = [...pendingUpdates];
+    pendingUpdates.clear();
+
+    for (const instance of updates) runTask(() => instance.update());
+
+    // Write phase: Render all scheduled instances (renders requested from here on run in the next frame)
+    const renders = [...pendingRenders];
+    pendingRenders.clear();
+
+    isFlushing = false;
+    scrollPosCache.clear();
+
+    // Allow the next frame to be requested (e.g. by updates scheduled in the read phase or by ongoing renders)
+    frameId = null;
+    if (pendingUpdates.size) requestFrame();
+
+    for (const instance of renders) runTask(() => instance.render(time));
+}
+
+
+/**
+ * Requests the shared animation frame, unless it is already pending.
+ *
+ * @returns {void}
+ */
+function requestFrame() {
+    if (!frameId) frameId = requestAnimationFrame(flush);
+}
+
+
+/**
+ * Schedules an instance to update its progress in the next frame.
+ *
+ * @param {Object} instance - The Scrollage instance.
+ *
+ * @returns {void}
+ */
+export function scheduleUpdate(instance) {
+    pendingUpdates.add(instance);
+    requestFrame();
+}
+
+
+/**
+ * Schedules an instance to render in the next frame (or in the current frame, if called during its read phase).
+ *
+ * @param {Object} instance - The Scrollage instance.
+ *
+ * @returns {void}
+ */
+export function scheduleRender(instance) {
+    pendingRenders.add(instance);
+    requestFrame();
+}
+
+
+/**
+ * Removes an instance from all pending updates and renders.
+ *
+ * @param {Object} instance - The Scrollage instance.
+ *
+ * @returns {void}
+ */
+export function cancelScheduled(instance) {
+    pendingUpdates.delete(instance);
+    pendingRenders.delete(instance);
+}
+
+
+/**
+ * Reads the scroll position of a source element, cached per source during the read phase of a frame.
+ *
+ * @param {HTMLElement} source - The scroll-container source.
+ *
+ * @returns {Object} - The scroll position as `{ top, left }`.
+ */
+export function readScrollPos(source) {
+    if (isFlushing && scrollPosCache.has(source)) return scrollPosCache.get(source);
+
+    const scrollPos = { top: source.scrollTop, left: source.scrollLeft };
+    if (isFlushing) scrollPosCache.set(source, scrollPos);
+
+    return scrollPos;
+}
@@ -0,0 +1,109 @@
+// Dependencies
+import { getEasingFunc } from './easing.js';
+
+
+/**
+ * Sets the scroll position of a source element immediately (ignoring CSS `scroll-behavior`).
+ *
+ * @param {HTMLElement} source - The scroll-container source.
+ * @param {boolean} isVertical - Whether to set the vertical (or horizontal) scroll position.
+ * @param {number} value - The scroll position in pixels.
+ *
+ * @returns {void}
+ */
+export function setScrollPos(source, isVertical, value) {
+    if (typeof source.scrollTo === 'function') {
+        source.scrollTo({ [isVertical ? 'top' : 'left']: value, behavior: 'instant' });
+    } else {
+        source[isVertical ? 'scrollTop' : 'scrollLeft'] = value;
+    }
+}
+
+
+/**
+ * Smoothly scrolls a source element to a scroll position.
+ *
+ * @param {HTMLElement} source - The scroll-container source.
+ * @param {boolean} isVertical - Whether to scroll vertically (or horizontally).
+ * @param {number} to - The target scroll position in pixels.
+ * @param {Object} [options={}] - The scroll options.
+ * @param {number} [options.duration=500] - The duration in milliseconds (`0` jumps to the target).
+ * @param {string|Function} [options.easing='CubicInOut'] - The easing (see `getEasingFunc()`).
+ *
+ * @returns {Object} - The scroll animation as `{ promise, cancel }`. The promise resolves with `true` once the
+ *                     target is reached, or with `false` if the animation was cancelled.
+ */
+export function animateScroll(source, isVertical, to, { duration = 500, easing = 'CubicInOut' } = {}) {
+    const from = isVertical ? source.scrollTop : source.scrollLeft;
+    const ease = getEasingFunc(easing) || (p => p);
+
+    let resolvePromise;
+    let frameId = null;
+    let startTime = null;
+
+    const promise = new Promise(resolve => resolvePromise = resolve);
+
+    const finish = (isComplete) => {
+        if (frameId) cancelAnimationFrame(frameId);
+        frameId = null;
+        resolvePromise(isComplete);
+    };
+
+    const step = (time) => {
+        if (startTime === null) startTime = time;
+
+        const progress = Math.min(1, (time - startTime) / duration);
+        setScrollPos(source, isVertical, from + (to - from) * ease(progress));
+
+        if (progress < 1) {
+            frameId = requestAnimationFrame(step);
+        } else {
+            frameId = null;
+            finish(true);
+        }
+    };
+
+    if (!duration || duration < 0 || Math.abs(to - from) < 1) {
+        setScrollPos(source, isVertical, to);
+        finish(true);
+    } else {
+        frameId = requestAnimationFrame(step);
+    }
+
+    return {
+        promise,
+        cancel: () => finish(false)
+    };
+}
+
+
+/**
+ * Determines the snap point closest to a scroll position.
+ *
+ * @param {number[]} points - The snap points (scroll positions in pixels).
+ * @param {number} scrollPos - The current scroll position.
+ * @param {number} [direction=0] - The last scroll direction (`1` forward, `-1` backward, `0` none).
+ * @param {number} [directionBias=0] - The share (0 to 1) by which distances to points in scroll direction are reduced.
+ *
+ * @returns {number|null} - The closest snap point or `null` if there are none.
+ */
+export function getSnapTarget(points, scrollPos, direction = 0, directionBias = 0) {
+    let target = null;
+    let minDistance = Infinity;
+
+    for (const point of points) {
+        let distance = Math.abs(point - scrollPos);
+
+        // Favor points in scroll direction
+        if (direction && Math.sign(point - scrollPos) === direction) {
+            distance *= 1 - Math.max(0, Math.min(1, directionBias));
+        }
+
+        if (distance < minDistance) {
+            minDistance = distance;
+            target = point;
+        }
+    }
+
+    return target;
+}
@@ -0,0 +1,134 @@
+// Dependencies
+import { parseColor, mixColors, formatColor } from './color.js';
+import { roundValue } from './utils.js';
+
+
+/**
+ * Returns an invisible shadow, used as default start and end value of shadow animations.
+ *
+ * @returns {Object} - A shadow without offset, blur and spread and with a transparent color.
+ */
+export function getEmptyShadow() {
+    return { x: 0, y: 0, blur: 0, spread: 0, color: parseColor('transparent'), inset: false };
+}
+
+
+/**
+ * Parses a shadow into its offset, blur, spread and color values.
+ *
+ * - Accepts a CSS shadow string (e.g. `'0 12px 24px -4px rgba(0, 0, 0, 0.25)'`) with pixel values.
+ * - Accepts an object (e.g. `{ "y": 12, "blur": 24, "color": "#0004" }`).
+ * - Only a single shadow is supported. Missing values default to `0` and a transparent color.
+ * - Text shadows do not support `spread` and `inset`, so these are invalid.
+ *
+ * @param {string|Object} shadow - The shadow to parse.
+ * @param {boolean} [isTextShadow=false] - Whether to parse a `text-shadow` instead of a `box-shadow`.
+ *
+ * @returns {Object|undefined} - The shadow as `{ x, y, blur, spread, color, inset }` or `undefined` if invalid.
+ */
+export function parseShadow(shadow, isTextShadow = false) {
+    const shadowData = getEmptyShadow();
+
+    if (shadow && typeof shadow === 'object') {
+        if (isTextShadow && ('spread' in shadow || 'inset' in shadow)) return;
+
+        for (const key of ['x', 'y', 'blur', 'spread']) {
+            if (key in shadow) shadowData[key] = parseFloat(shadow[key]) || 0;
+        }
+        if (shadow.color) shadowData.color = parseColor(shadow.color);
+        shadowData.inset = !!shadow.inset;
+
+        return shadowData.color ? shadowData : undefined;
+    }
+
+    if (typeof shadow !== 'string') return;
+
+    let str = shadow.trim().toLowerCase();
+    if (str === 'none') return shadowData;
+
+    // Extract the color first, since functional colors may contain spaces
+    const colorMatch = str.match(/#[\da-f]+|(?:rgba?|hsla?)\([^)]*\)|transparent/);
+    if (colorMatch) {
+        shadowData.color = parseColor(colorMatch[0]);
+        str = str.replace(colorMatch[0], ' ');
+    } else {
+        // Without a color, shadows use a black color like `currentColor` would on most elements
+        shadowData.color = parseColor('#000');
+    }
+
+    if (/\binset\b/.test(str)) {
+        if (isTextShadow) return;
+        shadowData.inset = true;
+        str = str.replace(/\binset\b/, ' ');
+    }
+
+    const lengths = str.split(/\s+/).filter(Boolean).map(length => parseFloat(length));
+    if (lengths.length < 2 || lengths.length > (isTextShadow ? 3 : 4) || lengths.some(isNaN) || !shadowData.color) return;
+
+    [shadowData.x, shadowData.y, shadowData.blur = 0, shadowData.spread = 0] = lengths;
+
+    return shadowData;
+}
+
+
+/**
+ * Checks whether a shadow has an offset, blur or spread, i.e. whether it can be visible.
+ *
+ * @param {Object} shadow - The shadow as `{ x, y, blur, spread, color, inset }`.
+ *
+ * @returns {boolean} - `true` if the shadow has any geometry.
+ */
+export function hasShadowGeometry(shadow) {
+    return !!(shadow.x || shadow.y || shadow.blur || shadow.spread);
+}
+
+
+/**
+ * Interpolates between two shadows.
+ *
+ * Inset and outer shadows cannot be interpolated: A shadow without geometry (e.g. the default `"none"`) adopts
+ * the `inset` of the other shadow, otherwise `inset` switches halfway, like in CSS transitions.
+ *
+ * @param {Object} from - The start shadow.
+ * @param {Object} to - The end shadow.
+ * @param {number} progress - The interpolation progress (0 to 1).
+ *
+ * @returns {Object} - The interpolated shadow.
+ */
+export function mixShadows(from, to, progress) {
+    const lerp = (a, b) => a + (b - a) * progress;
+
+    return {
+        x: lerp(from.x, to.x),
+        y: lerp(from.y, to.y),
+        blur: Math.max(0, lerp(from.blur, to.blur)),
+        spread: lerp(from.spread, to.spread),
+        color: mixColors(from.color, to.color, progress),
+        inset: from.inset === to.inset || !hasShadowGeometry(to)
+            ? from.inset
+            : !hasShadowGeometry(from) || progress >= 0.5 ? to.inset : from.inset
+    };
+}
+
+
+/**
+ * Formats a shadow as CSS `box-shadow` or `text-shadow` value.
+ *
+ * @param {Object} shadow - The shadow as `{ x, y, blur, spread, color, inset }`.
+ * @param {boolean} [isTextShadow=false] - Whether to omit `spread` and `inset` (not supported by `text-shadow`).
+ *
+ * @returns {string} - The CSS shadow string.
+ */
+export function formatShadow(shadow, isTextShadow = false) {
+    const values = [
+        `${roundValue(shadow.x)}px`,
+        `${roundValue(shadow.y)}px`,
+        `${roundValue(shadow.blur)}px`
+    ];
+
+    if (!isTextShadow) values.push(`${roundValue(shadow.spread)}px`);
+    values.push(formatColor(shadow.color));
+    if (!isTextShadow && shadow.inset) values.unshift('inset');
+
+    return values.join(' ');
+}
@@ -42,17 +42,19 @@ export function debounce(func, delay = 100) {
  * 
  * @param {string} str - The value to split (e.g., '50%' or '100px').
  * 
- * @returns {Object} - An object containing the `value` (numeric value) and `unit` (unit).
+ * @returns {Object|undefined} - An object containing the `value` (numeric value) and `unit` (unit),
+ *                               or `undefined` if the value is not a number with an optional unit (e.g. `"abc"`).
  */
 export function splitValueUnit(str) {
-    if (typeof str === 'number') return { value: str };
+    if (typeof str === 'number') return Number.isFinite(str) ? { value: str } : undefined;
     if (!str || typeof str !== 'string') return;
 
-    let strSplit = str.match(/^([-.\d]+(?:\.\d+)?)(.*)$/);
+    const strSplit = str.trim().match(/^(-?(?:\d+(?:\.\d*)?|\.\d+))\s*([a-z%]*)$/i);
+    if (!strSplit) return;
 
     return { 
-        value: Number(strSplit[1].trim()), 
-        unit: strSplit[2].trim()
+        value: Number(strSplit[1]), 
+        unit: strSplit[2]
     };
 }
 
@@ -77,6 +79,51 @@ export function calculateUnitValue(unit, value, winSizes, totalSize, elSize = 0)
 }
 
 
+/**
+ * Calculates the position of an element relative to the document, ignoring CSS transforms.
+ *
+ * Unlike `getBoundingClientRect()`, the offsets of the element and its offset parents are not affected
+ * by transforms (e.g. of animated elements) and do not depend on the current scroll position.
+ *
+ * @param {HTMLElement} el - The element to measure.
+ * 
+ * @returns {Object} - The untransformed position as `{ top, left }` in pixels.
+ */
+export function getUntransformedOffset(el) {
+    let top = 0;
+    let left = 0;
+
+    while (el) {
+        top += el.offsetTop;
+        left += el.offsetLeft;
+
+        // Offsets relative to `body` already refer to the document
+        const parent = el.offsetParent;
+        if (!parent || parent === document.body) break;
+
+        top += parent.clientTop;
+        left += parent.clientLeft;
+        el = parent;
+    }
+
+    return { top, left };
+}
+
+
+/**
+ * Checks whether two sizes (or positions) are equal.
+ *
+ * @param {Object|null} a - The first size as `{ x, y }`.
+ * @param {Object|null} b - The second size as `{ x, y }`.
+ * 
+ * @returns {boolean} - `true` if both sizes are equal (or both are missing).
+ */
+export function isEqualSizes(a, b) {
+    if (!a || !b) return a === b;
+    return a.x === b.x && a.y === b.y;
+}
+
+
 /**
  * Rounds a given number to a specified number of decimal places.
  *
@@ -91,17 +138,19 @@ export function roundValue(value, decimals = 1) {
 
 /**
  * Safely parses a JSON string and returns an object.
- * If parsing fails, logs a warning and returns an empty object.
+ * If parsing fails, logs a warning (or calls `onError` instead) and returns an empty object.
  *
  * @param {string} jsonString - The JSON string to parse.
  * @param {string} context - The name of the attribute for error logging.
+ * @param {Function|null} [onError=null] - Called with the error instead of logging a warning.
  * @returns {Object} - The parsed object or an empty object if parsing fails.
  */
-export function safeParseJSON(jsonString, context = 'JSON data') {
+export function safeParseJSON(jsonString, context = 'JSON data', onError = null) {
     try {
         return JSON.parse(jsonString);
     } catch (error) {
-        console.warn(`ScrollageJS: Invalid JSON in ${context}.`, error);
+        if (onError) onError(error);
+        else console.warn(`ScrollageJS: Invalid JSON in ${context}.`, error);
         return {}; // Return empty object instead of undefined
     }
 }
\ No newline at end of file
@@ -0,0 +1,397 @@
+// Dependencies
+import { getAnimationSchema, getAnimationTypes, getAnimationAttributes } from './animation.js';
+import { getEasingFunc } from './easing.js';
+import { hasShadowGeometry } from './shadow.js';
+import { splitValueUnit, safeParseJSON } from './utils.js';
+
+
+// Keys of the JavaScript config of an element (see `add()`), besides the animation types
+const ELEMENT_CONFIG_KEYS = ['range', 'offset', 'smooth', 'pin', 'reducedMotion', 'overlap', 'group'];
+
+// Keys of a trigger config
+const TRIGGER_KEYS = ['range', 'start', 'position', 'end', 'class', 'name', 'target', 'mode', 'directionClasses', 'onEnter', 'onLeave'];
+
+// Prefix of animation data attributes (e.g. `data-animation-move`)
+const ANIMATION_ATTRIBUTE_PREFIX = 'data-animation-';
+
+// Units of timeline offsets and trigger positions (unitless values are percentages)
+const POSITION_UNITS = ['', '%', 'px', 'vh', 'vw'];
+
+
+/**
+ * Describes an element for diagnostic messages, e.g. `div#hero.card`.
+ *
+ * @param {HTMLElement} el - The element to describe.
+ *
+ * @returns {string} - The tag name with the `id` and classes of the element.
+ */
+export function describeElement(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const classes = [...el.classList].map(className => `.${className}`).join('');
+
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+}
+
+
+/**
+ * Checks an easing (see `getEasingFunc()`).
+ *
+ * @param {*} easing - The easing to check.
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getEasingIssues(easing) {
+    if (easing == null || easing === false || typeof easing === 'function') return [];
+    return getEasingFunc(easing) ? [] : [`Unknown easing ${JSON.stringify(easing)}`];
+}
+
+
+/**
+ * Checks a single animation value.
+ *
+ * @param {*} value - The value to check.
+ * @param {string} key - The key of the value, as reported in issues.
+ * @param {Function} parseValue - The parser of the value, which returns a falsy value for invalid values.
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getValueIssues(value, key, parseValue) {
+    return parseValue(value) ? [] : [`Invalid value ${JSON.stringify(value)} of "${key}"`];
+}
+
+
+/**
+ * Checks a position with an optional unit (e.g. a timeline offset or a trigger position).
+ *
+ * @param {*} value - The position to check.
+ * @param {string} key - The key of the position, as reported in issues.
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getPositionIssues(value, key) {
+    const valueData = splitValueUnit(value);
+    return valueData && POSITION_UNITS.includes(valueData.unit || '') ? [] : [`Invalid value ${JSON.stringify(value)} of "${key}"`];
+}
+
+
+/**
+ * Checks the keyframes of an animation property.
+ *
+ * @param {*} keyframes - The keyframes to check (e.g. `{ "0%": {...}, "100%": {...} }`).
+ * @param {Object} schema - The schema of the animation type (see `getAnimationSchema()`).
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getKeyframesIssues(keyframes, schema) {
+    if (!keyframes || typeof keyframes !== 'object' || Array.isArray(keyframes)) {
+        return ['Invalid value of "keyframes" (expected an object)'];
+    }
+
+    const issues = [];
+
+    for (const key of Object.keys(keyframes)) {
+        const keyframe = keyframes[key];
+
+        if (!/^(from|to|-?\d+(\.\d+)?%?)$/i.test(key.trim())) {
+            issues.push(`Invalid keyframe "${key}"`);
+            continue;
+        }
+
+        // Single value keyframe (e.g. `{"50%": 80}`)
+        if (keyframe === null || typeof keyframe !== 'object') {
+            issues.push(...(schema.hasValue
+                ? getValueIssues(keyframe, `keyframes.${key}`, schema.parseValue)
+                : [`Invalid keyframe "${key}" (expected axis values)`]
+            ));
+            continue;
+        }
+
+        for (const prop of Object.keys(keyframe)) {
+            const normalizedProp = prop.toLowerCase();
+
+            if (normalizedProp === 'easing') {
+                issues.push(...getEasingIssues(keyframe[prop]));
+            } else if ((normalizedProp === 'value' && schema.hasValue) || schema.axes.includes(normalizedProp)) {
+                issues.push(...getValueIssues(keyframe[prop], `keyframes.${key}.${prop}`, schema.parseValue));
+            } else {
+                issues.push(`Unknown key "keyframes.${key}.${prop}"`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+
+/**
+ * Checks the start / end values, axes, keyframes and easing of an animation property.
+ *
+ * @param {Object} data - The animation property data.
+ * @param {Object} schema - The schema of the animation type (see `getAnimationSchema()`).
+ * @param {string[]} [extraKeys=[]] - Additional keys, which are checked by the caller.
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getPropertyIssues(data, schema, extraKeys = []) {
+    const issues = [];
+
+    for (const key of Object.keys(data)) {
+        const normalizedKey = key.toLowerCase();
+        const axisMatch = normalizedKey.match(/^(start|end)([xyz])$/);
+
+        if (extraKeys.includes(normalizedKey)) continue;
+
+        if (normalizedKey === 'easing') {
+            issues.push(...getEasingIssues(data[key]));
+        } else if (normalizedKey === 'keyframes') {
+            issues.push(...getKeyframesIssues(data[key], schema));
+        } else if (schema.hasValue && (normalizedKey === 'start' || normalizedKey === 'end')) {
+            issues.push(...getValueIssues(data[key], key, schema.parseValue));
+        } else if (axisMatch && schema.axes.includes(axisMatch[2])) {
+            issues.push(...getValueIssues(data[key], key, schema.parseValue));
+        } else {
+            issues.push(`Unknown key "${key}"`);
+        }
+    }
+
+    return issues;
+}
+
+
+/**
+ * Checks whether the start, end and keyframe shadows of a `shadow` animation are either all inset or all outer shadows,
+ * since they cannot be interpolated between each other (see `mixShadows()`).
+ *
+ * @param {Object} data - The animation property data.
+ * @param {Object} schema - The schema of the animation type (see `getAnimationSchema()`).
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getInsetIssues(data, schema) {
+    const values = [];
+
+    for (const key of Object.keys(data)) {
+        const normalizedKey = key.toLowerCase();
+
+        if (normalizedKey === 'start' || normalizedKey === 'end') values.push(data[key]);
+        if (normalizedKey === 'keyframes' && data[key] && typeof data[key] === 'object') {
+            for (const keyframe of Object.values(data[key])) {
+                values.push(keyframe && typeof keyframe === 'object' ? keyframe.value : keyframe);
+            }
+        }
+    }
+
+    const insets = new Set(values
+        .map(value => value != null && schema.parseValue(value))
+        .filter(shadow => shadow && hasShadowGeometry(shadow))
+        .map(shadow => shadow.inset)
+    );
+
+    return insets.size > 1 ? ['Mixed inset and outer shadows (switches halfway)'] : [];
+}
+
+
+/**
+ * Checks the custom properties of a `vars` animation.
+ *
+ * @param {Object} data - The `vars` animation data.
+ *
+ * @returns {string[]} - The issues found.
+ */
+function getVarsIssues(data) {
+    const schema = { hasValue: true, axes: [], parseValue: splitValueUnit };
+    const issues = [];
+
+    for (const name of Object.keys(data)) {
+        const value = data[name];
+
+        if (!name.startsWith('--')) {
+            issues.push(`Unknown key "${name}"`);
+        } else if (Array.isArray(value)) {
+            value.forEach((item, i) => issues.push(...getValueIssues(item, `${name}[${i}]`, splitValueUnit)));
+        } else if (value && typeof value === 'object') {
+            issues.push(...getPropertyIssues(value, schema).map(issue => `${issue} of "${name}"`));
+        } else {
+            issues.push(`Invalid value ${JSON.stringify(value)} of "${name}" (expected an array or an object)`);
+        }
+    }
+
+    return issues;
+}
+
+
+/**
+ * Checks the config of an animation type (e.g. the value of `data-animation-move`) against its schema.
+ *
+ * Reports unknown keys (e.g. `stratY`), invalid values (e.g. `"abc"`), unknown easings and invalid keyframes,
+ * including those of `responsive` overrides.
+ *
+ * @param {string} type - The animation type.
+ * @param {*} data - The parsed animation config.
+ *
+ * @returns {string[]} - The issues found.
+ */
+export function getAnimationIssues(type, data) {
+    const schema = getAnimationSchema(type);
+
+    if (!schema) return [`Unknown animation type "${type}"`];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return ['Invalid config (expected an object)'];
+
+    const extraKeys = ['responsive', 'input', 'maxvelocity'];
+    const issues = [];
+
+    for (const key of Object.keys(data)) {
+        const normalizedKey = key.toLowerCase();
+        const value = data[key];
+
+        if (normalizedKey === 'input' && !['progress', 'velocity'].includes(value)) {
+            issues.push(`Invalid value ${JSON.stringify(value)} of "${key}"`);
+        }
+        if (normalizedKey === 'maxvelocity' && !(parseFloat(value) > 0)) {
+            issues.push(`Invalid value ${JSON.stringify(value)} of "${key}"`);
+        }
+        if (normalizedKey === 'responsive') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                issues.push(`Invalid value of "${key}" (expected an object)`);
+                continue;
+            }
+
+            for (const breakpoint of Object.keys(value)) {
+                const breakpointIssues = type === 'vars'
+                    ? getVarsIssues(value[breakpoint] || {})
+                    : getPropertyIssues(value[breakpoint] || {}, schema);
+
+                if (type === 'shadow') breakpointIssues.push(...getInsetIssues(value[breakpoint] || {}, schema));
+
+                issues.push(...breakpointIssues.map(issue => `${issue} (responsive "${breakpoint}")`));
+            }
+        }
+    }
+
+    // `vars` only accepts custom properties besides the common keys
+    if (type === 'vars') {
+        const varsData = {};
+
+        for (const key of Object.keys(data)) {
+            if (!extraKeys.includes(key.toLowerCase()) && key.toLowerCase() !== 'easing') varsData[key] = data[key];
+        }
+        issues.push(...getEasingIssues(data.easing), ...getVarsIssues(varsData));
+
+        return issues;
+    }
+
+    if (type === 'shadow') issues.push(...getInsetIssues(data, schema));
+
+    return [...issues, ...getPropertyIssues(data, schema, extraKeys)];
+}
+
+
+/**
+ * Checks a timeline offset (e.g. `data-timeline-offset="20% -100px"`).
+ *
+ * @param {string|Array|null} offset - The offset to check.
+ *
+ * @returns {string[]} - The issues found.
+ */
+export function getOffsetIssues(offset) {
+    if (offset == null || offset === '') return [];
+
+    const values = Array.isArray(offset) ? offset : String(offset).trim().split(/\s+/);
+    const issues = values.length > 2 ? ['Too many values (expected a start and an end offset)'] : [];
+
+    values.slice(0, 2).forEach((value, i) => issues.push(...getPositionIssues(value, i ? 'end' : 'start')));
+
+    return issues;
+}
+
+
+/**
+ * Checks the keys of the JavaScript config of an element (see `add()`).
+ * The animation types are checked separately (see `getAnimationIssues()`).
+ *
+ * @param {Object} config - The config to check.
+ *
+ * @returns {string[]} - The issues found.
+ */
+export function getConfigIssues(config) {
+    return Object.keys(config)
+        .filter(key => !ELEMENT_CONFIG_KEYS.includes(key) && !getAnimationSchema(key))
+        .map(key => `Unknown key "${key}"`);
+}
+
+
+/**
+ * Checks a trigger config.
+ *
+ * @param {Object} trigger - The trigger config to check.
+ *
+ * @returns {string[]} - The issues found.
+ */
+export function getTriggerIssues(trigger) {
+    if (!trigger || typeof trigger !== 'object') return ['Invalid trigger (expected an object)'];
+
+    const issues = Object.keys(trigger)
+        .filter(key => !TRIGGER_KEYS.includes(key))
+        .map(key => `Unknown key "${key}"`);
+
+    if (!trigger.class || typeof trigger.class !== 'string') issues.push('Missing "class"');
+    if (trigger.mode != null && !['toggle', 'once'].includes(trigger.mode)) {
+        issues.push(`Invalid value ${JSON.stringify(trigger.mode)} of "mode"`);
+    }
+
+    for (const key of ['start', 'position', 'end']) {
+        if (trigger[key] != null) issues.push(...getPositionIssues(trigger[key], key));
+    }
+
+    return issues;
+}
+
+
+/**
+ * Checks the JavaScript config (see `add()`) and the data attributes of an animated element.
+ *
+ * - Reports unknown config keys and invalid timeline offsets (unless the element is part of a group, which defines the offset).
+ * - Reports `data-animation-*` attributes of unknown animation types (e.g. `data-animation-mvoe`).
+ * - Checks each animation config or attribute (config keys take precedence, see `getAnimationData()`).
+ *
+ * @param {HTMLElement} el - The animated element.
+ * @param {Object} [config={}] - The JavaScript config of the element.
+ * @param {boolean} [isGrouped=false] - Whether the element is part of a group.
+ *
+ * @returns {Array<Object>} - The issues found as `{ source, issues }`, e.g. `{ source: 'data-animation-move', issues: [...] }`.
+ */
+export function getElementIssues(el, config = {}, isGrouped = false) {
+    const results = [{ source: 'the config', issues: getConfigIssues(config) }];
+
+    if (!isGrouped) {
+        results.push({
+            source: config.offset != null ? '"offset" config' : 'data-timeline-offset',
+            issues: getOffsetIssues(config.offset ?? el.getAttribute('data-timeline-offset'))
+        });
+    }
+
+    const animationAttributes = getAnimationAttributes();
+
+    for (const { name } of el.attributes) {
+        if (!name.startsWith(ANIMATION_ATTRIBUTE_PREFIX) || animationAttributes.includes(name)) continue;
+        results.push({ source: name, issues: [`Unknown animation type "${name.slice(ANIMATION_ATTRIBUTE_PREFIX.length)}"`] });
+    }
+
+    for (const type of getAnimationTypes()) {
+        if (type in config) {
+            if (config[type]) results.push({ source: `"${type}" config`, issues: getAnimationIssues(type, config[type]) });
+            continue;
+        }
+
+        const attribute = getAnimationSchema(type).attribute;
+        const data = el.getAttribute(attribute);
+        if (!data) continue;
+
+        let isValidJSON = true;
+        const parsedData = safeParseJSON(data.replace(/'/g, '"'), attribute, () => { isValidJSON = false; });
+
+        results.push({ source: attribute, issues: isValidJSON ? getAnimationIssues(type, parsedData) : ['Invalid JSON'] });
+    }
+
+    return results.filter(result => result.issues.length);
+}